@@ -0,0 +1,38 @@
+'use strict';
+
+const { getStore } = require('../lib/store');
+const { config, availableSlots, canClaimSlots } = require('../lib/booking');
+const { withApi } = require('../lib/middleware');
+
+/**
+ * Open meeting slots (see lib/booking.js for the schedule settings).
+ *   GET /api/availability           every open slot in the booking window
+ *   GET /api/availability?days=7    only the next 7 days
+ * Slots are UTC ISO strings; `timezone` is the owner's zone, for display hints.
+ * 503 when bookings can't be taken safely (no shared store, see lib/booking.js).
+ */
+module.exports = withApi(async (req, res) => {
+  const days = parseInt((req.query && req.query.days) || String(config.daysAhead), 10);
+  const cfg = Object.assign({}, config, { daysAhead: Math.min(config.daysAhead, Math.max(1, days || config.daysAhead)) });
+
+  const store = getStore();
+  if (!canClaimSlots(store)) return res.status(503).json({ ok: false, message: 'Booking needs a shared store' });
+
+  let slots;
+  try {
+    slots = await availableSlots(store, Date.now(), cfg);
+  } catch (err) {
+    await req.captureError(err, { msg: 'Availability unavailable' });
+    return res.status(503).json({ ok: false, message: 'Availability unavailable' });
+  }
+
+  // short shared cache: a just-booked slot may linger a few seconds, /api/book re-checks it
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=15, stale-while-revalidate=30');
+  return res.status(200).json({
+    ok: true,
+    timezone: cfg.timeZone,
+    slotMinutes: cfg.slotMinutes,
+    count: slots.length,
+    slots: slots.map(({ start, end }) => ({ start, end }))
+  });
+}, { route: '/api/availability', methods: ['GET', 'HEAD'] });
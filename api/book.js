@@ -0,0 +1,87 @@
+'use strict';
+
+const { getStore } = require('../lib/store');
+const { findSlot, canClaimSlots, claimSlot, releaseSlot, sendBookingInvites, isValidTimeZone } = require('../lib/booking');
+const { resolveLocale } = require('../lib/templates');
+const { translate, validationMessages } = require('../lib/i18n');
+const ContactSchema = require('../public/js/contact-schema');
+const { getClientIp, hitSlidingWindow, sendTooMany } = require('../lib/rate-limit');
+const { withApi } = require('../lib/middleware');
+
+const IP_LIMIT = parseInt(process.env.BOOKING_IP_LIMIT || '3', 10);
+const IP_WINDOW_MS = parseInt(process.env.BOOKING_IP_WINDOW_MS || String(60 * 60 * 1000), 10);
+const EMAIL_LIMIT = parseInt(process.env.BOOKING_EMAIL_LIMIT || '2', 10);
+const EMAIL_WINDOW_MS = parseInt(process.env.BOOKING_EMAIL_WINDOW_MS || String(24 * 60 * 60 * 1000), 10);
+const NOTE_MAX = 500;
+
+/**
+ * Book a meeting slot.
+ *   POST /api/book { start, name, email, note?, timeZone?, locale? }
+ * `start` must be one of the slots from /api/availability. The slot is claimed in the
+ * store before any email goes out (409 when someone got there first) and released
+ * again if the owner's invite can't be sent. 503 while the store is not shared between
+ * instances (see canClaimSlots), rather than risk a double booking.
+ */
+module.exports = withApi(async (req, res) => {
+  const body = req.body || {};
+  const locale = resolveLocale(body.locale, req.headers && req.headers['accept-language']);
+  const t = (key) => translate(locale, key);
+
+  try {
+    const store = getStore();
+    if (!canClaimSlots(store)) {
+      req.log.error('Booking refused: the store is per instance, a slot could be booked twice', { driver: store.driver });
+      return res.status(503).json({ success: false, message: t('api.booking.unavailable') });
+    }
+    const tooMany = { success: false, message: t('api.tooMany') };
+
+    const ipHit = await hitSlidingWindow(store, `rl:book:ip:${getClientIp(req)}`, IP_LIMIT, IP_WINDOW_MS);
+    if (!ipHit.allowed) return sendTooMany(res, ipHit.retryAfterMs, tooMany);
+
+    // honeypot
+    if (body.company) return res.status(400).json({ success: false, message: t('api.validationFailed') });
+
+    // name and email follow the contact form rules
+    const msgs = validationMessages(locale);
+    const errors = {};
+    ['name', 'email'].forEach((field) => {
+      const error = ContactSchema.validateField(field, body[field], msgs);
+      if (error) errors[field] = error;
+    });
+    if (Object.keys(errors).length) return res.status(400).json({ success: false, message: t('api.checkFields'), errors });
+
+    const slot = findSlot(body.start);
+    if (!slot) return res.status(400).json({ success: false, message: t('api.booking.invalidSlot') });
+
+    const email = ContactSchema.normalize(ContactSchema.fields.email, body.email);
+    const emailHit = await hitSlidingWindow(store, `rl:book:email:${email}`, EMAIL_LIMIT, EMAIL_WINDOW_MS);
+    if (!emailHit.allowed) return sendTooMany(res, emailHit.retryAfterMs, tooMany);
+
+    const booking = await claimSlot(store, slot, {
+      name: ContactSchema.normalize(ContactSchema.fields.name, body.name),
+      email,
+      note: String(body.note || '').trim().slice(0, NOTE_MAX),
+      locale,
+      timeZone: isValidTimeZone(body.timeZone) ? body.timeZone : null
+    });
+    if (!booking) return res.status(409).json({ success: false, message: t('api.booking.taken') });
+
+    try {
+      const { guestNotified } = await sendBookingInvites(booking);
+      req.log.info('Booking confirmed', { bookingId: booking.id, start: booking.start, guestNotified });
+    } catch (err) {
+      await releaseSlot(store, booking);
+      await req.captureError(err, { msg: 'Booking invite failed', bookingId: booking.id });
+      return res.status(502).json({ success: false, message: t('api.booking.error') });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: t('api.booking.confirmed'),
+      booking: { id: booking.id, start: booking.start, end: booking.end }
+    });
+  } catch (err) {
+    await req.captureError(err);
+    return res.status(500).json({ success: false, message: t('api.booking.error') });
+  }
+}, { route: '/api/book', methods: ['POST'], bodyLimit: 8 * 1024 });
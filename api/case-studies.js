@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+const {
+  SITE_URL,
+  readCaseStudies,
+  getCaseStudy,
+  absoluteUrl,
+  sitemapXml,
+  rssXml
+} = require('../lib/case-studies');
+const { readProjects } = require('../lib/projects');
+const { renderTemplate, resolveLocale } = require('../lib/templates');
+const { translate } = require('../lib/i18n');
+const { withApi } = require('../lib/middleware');
+
+/**
+ * Case studies (content/case-studies/*.md) rendered on the server, plus the sitemap
+ * and the feed. Public URLs are rewritten here by vercel.json:
+ *   GET /case-studies          index page        (?lang=pt|en, else Accept-Language)
+ *   GET /case-studies/<slug>   one case study    (?slug=; an HTML 404 page when unknown)
+ *   GET /sitemap.xml           (?view=sitemap)
+ *   GET /rss.xml               RSS 2.0 feed      (?view=feed)
+ */
+
+const TYPES = {
+  html: 'text/html; charset=utf-8',
+  sitemap: 'application/xml; charset=utf-8',
+  feed: 'application/rss+xml; charset=utf-8'
+};
+
+// Pages load /css/case-study.css and same-site images only
+const HTML_CSP = "default-src 'none'; style-src 'self'; img-src 'self' https:; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+const DEFAULT_IMAGE = '/img/og-image.png';
+
+const formatDate = (date, locale) => new Intl.DateTimeFormat(locale === 'en' ? 'en-GB' : 'pt-PT', { dateStyle: 'long', timeZone: 'UTC' })
+  .format(new Date(`${date}T00:00:00Z`));
+
+// Demo/code links of the portfolio card the case study belongs to (optional)
+async function findProject(id, log) {
+  if (!id) return null;
+  try {
+    const { projects } = await readProjects();
+    return projects.find(p => p.id === id) || null;
+  } catch (err) {
+    log.warn('Project catalogue unavailable', { error: err.message });
+    return null;
+  }
+}
+
+async function renderEntryPage(entry, log) {
+  const project = await findProject(entry.project, log);
+  const canonical = absoluteUrl(entry.url);
+  const image = absoluteUrl(entry.cover || DEFAULT_IMAGE);
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: entry.title,
+    description: entry.summary,
+    image,
+    datePublished: entry.date,
+    dateModified: entry.updated,
+    inLanguage: entry.lang,
+    keywords: entry.tags.join(', '),
+    mainEntityOfPage: canonical,
+    author: { '@type': 'Person', name: 'Estandar Mustaq', url: `${SITE_URL}/` }
+  };
+
+  return renderTemplate('case-study', entry.lang, Object.assign({}, entry, {
+    canonical,
+    image,
+    dateText: formatDate(entry.date, entry.lang),
+    hasTags: entry.tags.length > 0,
+    project: project ? { demoUrl: project.demoUrl, repoUrl: project.repoUrl } : null,
+    jsonLd: JSON.stringify(jsonLd).replace(/</g, '\\u003c')
+  })).html;
+}
+
+function sendNotFoundPage(req, res, locale) {
+  res.setHeader('Content-Type', TYPES.html);
+  res.setHeader('Content-Security-Policy', HTML_CSP);
+  res.setHeader('Content-Language', locale);
+  res.setHeader('Vary', 'Origin, Accept-Language, Accept-Encoding');
+  res.setHeader('Cache-Control', 'public, max-age=60');
+  if (req.method === 'HEAD') return res.status(404).end();
+  return res.status(404).send(renderTemplate('case-study-not-found', locale).html);
+}
+
+function renderIndexPage(entries, locale) {
+  return renderTemplate('case-studies', locale, {
+    canonical: `${SITE_URL}/case-studies`,
+    image: absoluteUrl(DEFAULT_IMAGE),
+    hasEntries: entries.length > 0,
+    entries: entries.map(entry => Object.assign({}, entry, { dateText: formatDate(entry.date, locale) }))
+  }).html;
+}
+
+module.exports = withApi(async (req, res) => {
+  const query = req.query || {};
+  const headers = req.headers || {};
+  const view = query.slug ? 'entry' : (query.view || 'index');
+  if (!['entry', 'index', 'sitemap', 'feed'].includes(view)) {
+    return res.status(400).json({ ok: false, message: 'view must be sitemap or feed' });
+  }
+
+  let body;
+  let type = TYPES.html;
+  try {
+    if (view === 'entry') {
+      const entry = await getCaseStudy(String(query.slug));
+      if (!entry) return sendNotFoundPage(req, res, resolveLocale(query.lang, headers['accept-language']));
+      body = await renderEntryPage(entry, req.log);
+      res.setHeader('Content-Language', entry.lang);
+    } else {
+      const entries = await readCaseStudies();
+      if (view === 'sitemap') {
+        body = sitemapXml(entries);
+        type = TYPES.sitemap;
+      } else if (view === 'feed') {
+        body = rssXml(entries, {
+          title: `${translate('pt', 'caseStudies.title')} — Estandar Mustaq`,
+          description: translate('pt', 'caseStudies.description')
+        });
+        type = TYPES.feed;
+      } else {
+        const locale = resolveLocale(query.lang, headers['accept-language']);
+        body = renderIndexPage(entries, locale);
+        res.setHeader('Content-Language', locale);
+        res.setHeader('Vary', 'Origin, Accept-Language, Accept-Encoding');
+      }
+    }
+  } catch (err) {
+    await req.captureError(err, { msg: 'Case studies unavailable', view });
+    return res.status(500).json({ ok: false, message: 'Case studies unavailable' });
+  }
+
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400');
+  if (headers['if-none-match'] === etag) return res.status(304).end();
+
+  res.setHeader('Content-Type', type);
+  if (type === TYPES.html) res.setHeader('Content-Security-Policy', HTML_CSP);
+  if (req.method === 'HEAD') return res.status(200).end();
+  return res.status(200).send(body);
+}, { route: '/api/case-studies', methods: ['GET', 'HEAD'] });
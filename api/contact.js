@@ -1,105 +1,234 @@
-const nodemailer = require('nodemailer');
-const path = require('path');
-const fs = require('fs');
-
-const FROM_EMAIL = process.env.FROM_EMAIL;
-const TO_EMAIL = process.env.TO_EMAIL || process.env.SMTP_USER;
-
-async function getTransporter() {
-  if (global.__transporter) return global.__transporter;
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: parseInt(process.env.SMTP_PORT || '587', 10),
-    secure: (process.env.SMTP_SECURE === 'true'),
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
+const { getStore } = require('../lib/store');
+const { getMessageStore } = require('../lib/messages');
+const { notifyWebhooks } = require('../lib/webhooks');
+const {
+  TO_EMAIL,
+  getTransporter,
+  sanitizeHeader,
+  stripLinks,
+  greetingName,
+  getLogoAttachments,
+  getSender,
+  sendNotification,
+  deliverRecord
+} = require('../lib/mailer');
+const { createSubmitToken, verifySubmitToken } = require('../lib/submit-token');
+const { resolveLocale, renderTemplate } = require('../lib/templates');
+const { translate, validationMessages } = require('../lib/i18n');
+const ContactSchema = require('../public/js/contact-schema');
+const { isMultipart, parseMultipart, readRawBody } = require('../lib/multipart');
+const { prepareAttachments } = require('../lib/attachments');
+const { scoreSubmission } = require('../lib/spam');
+const {
+  getClientIp,
+  hitSlidingWindow,
+  fingerprint,
+  checkDuplicate,
+  rememberMessage,
+  sendTooMany
+} = require('../lib/rate-limit');
+const { withApi } = require('../lib/middleware');
+
+// Abuse protection (sliding windows, time-to-submit, duplicates)
+const IP_LIMIT = parseInt(process.env.CONTACT_IP_LIMIT || '5', 10);
+const IP_WINDOW_MS = parseInt(process.env.CONTACT_IP_WINDOW_MS || String(10 * 60 * 1000), 10);
+const EMAIL_LIMIT = parseInt(process.env.CONTACT_EMAIL_LIMIT || '3', 10);
+const EMAIL_WINDOW_MS = parseInt(process.env.CONTACT_EMAIL_WINDOW_MS || String(60 * 60 * 1000), 10);
+const MIN_SUBMIT_MS = parseInt(process.env.CONTACT_MIN_SUBMIT_MS || '3000', 10);
+const DUPLICATE_TTL_MS = parseInt(process.env.CONTACT_DUPLICATE_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+
+// Attachments arrive as multipart/form-data (limits shared with the browser)
+const ATTACHMENTS = ContactSchema.attachments;
+const MULTIPART_FIELDS_BYTES = 64 * 1024;
+const MULTIPART_BODY_LIMIT = ATTACHMENTS.maxTotalBytes + MULTIPART_FIELDS_BYTES;
+
+// Auto-reply to the sender (off unless CONTACT_AUTOREPLY=true)
+const AUTOREPLY_ENABLED = (process.env.CONTACT_AUTOREPLY === 'true');
+const AUTOREPLY_PER_EMAIL = parseInt(process.env.CONTACT_AUTOREPLY_PER_EMAIL || '1', 10);
+const AUTOREPLY_PER_EMAIL_WINDOW_MS = parseInt(process.env.CONTACT_AUTOREPLY_PER_EMAIL_WINDOW_MS || String(24 * 60 * 60 * 1000), 10);
+const AUTOREPLY_GLOBAL = parseInt(process.env.CONTACT_AUTOREPLY_GLOBAL || '30', 10);
+const AUTOREPLY_GLOBAL_WINDOW_MS = parseInt(process.env.CONTACT_AUTOREPLY_GLOBAL_WINDOW_MS || String(60 * 60 * 1000), 10);
+const AUTOREPLY_QUOTE_MAX = 280;
+
+// Short quote of the visitor's message for the auto-reply; links are dropped so it can't relay spam
+function quoteForReply(message = '') {
+  const noLinks = stripLinks(message).trim();
+  return noLinks.length > AUTOREPLY_QUOTE_MAX ? `${noLinks.slice(0, AUTOREPLY_QUOTE_MAX - 1)}…` : noLinks;
+}
+
+function buildAutoReply({ name, message, hasLogo, locale }) {
+  const quote = quoteForReply(message);
+  return renderTemplate('contact-autoreply', locale, {
+    firstName: greetingName(name),
+    quote,
+    quoteText: `> ${quote.replace(/\n/g, '\n> ')}`,
+    hasLogo
   });
-  global.__transporter = transporter;
-  return transporter;
 }
 
-function escapeHtml(str = '') {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+/**
+ * Send the acknowledgement to the visitor, throttled per recipient and globally.
+ * Never throws: the main notification has already gone out.
+ */
+async function sendAutoReply(transporter, store, { from, email, name, message, attachments, locale, log }) {
+  try {
+    const overall = await hitSlidingWindow(store, 'rl:autoreply:all', AUTOREPLY_GLOBAL, AUTOREPLY_GLOBAL_WINDOW_MS);
+    if (!overall.allowed) return false;
+    const perEmail = await hitSlidingWindow(store, `rl:autoreply:${email}`, AUTOREPLY_PER_EMAIL, AUTOREPLY_PER_EMAIL_WINDOW_MS);
+    if (!perEmail.allowed) return false;
+
+    const reply = buildAutoReply({ name, message, hasLogo: attachments.length > 0, locale });
+    await transporter.sendMail({
+      from,
+      to: email,
+      replyTo: TO_EMAIL,
+      subject: sanitizeHeader(reply.subject, 120),
+      text: reply.text,
+      html: reply.html,
+      attachments,
+      headers: { 'Auto-Submitted': 'auto-replied' }
+    });
+    return true;
+  } catch (err) {
+    if (log) log.warn('Auto-reply failed', { err });
+    return false;
+  }
 }
 
-function findLogoLocal() {
-  const candidates = [
-    path.join(process.cwd(), 'public', 'img', 'favicon.ico'),
-    path.join(process.cwd(), 'public', 'img', 'logo-icons0.png')
-  ];
-  for (const p of candidates) if (fs.existsSync(p)) return p;
-  return null;
+/**
+ * Multipart submission -> { input, files }. Errors carry a statusCode (400 malformed, 413 too large).
+ */
+async function readMultipart(req) {
+  const contentType = req.headers['content-type'];
+  const raw = await readRawBody(req, MULTIPART_BODY_LIMIT);
+  const { fields, files } = parseMultipart(raw, contentType, {
+    maxFiles: ATTACHMENTS.maxFiles,
+    maxFileBytes: ATTACHMENTS.maxFileBytes
+  });
+  return { input: fields, files };
 }
 
-module.exports = async (req, res) => {
+module.exports = withApi(async (req, res) => {
+  // answer in the visitor's language (body.locale, then Accept-Language)
+  const acceptLanguage = req.headers && req.headers['accept-language'];
+  const multipart = req.method === 'POST' && isMultipart(req.headers && req.headers['content-type']);
+  let locale = resolveLocale(!multipart && req.body && req.body.locale, acceptLanguage);
+  const t = (key, vars) => translate(locale, key, vars);
+
   try {
-    if (req.method !== 'POST') return res.status(405).json({ success: false, message: 'Method not allowed' });
+    // the form asks for a signed timestamp token on load
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, token: createSubmitToken() });
+    }
 
-    const { name, email, message, company } = req.body || {};
+    const store = getStore();
+    const tooMany = { success: false, message: t('api.tooMany') };
+
+    // per-IP limit (counts every attempt, valid or not)
+    const ipHit = await hitSlidingWindow(store, `rl:ip:${getClientIp(req)}`, IP_LIMIT, IP_WINDOW_MS);
+    if (!ipHit.allowed) return sendTooMany(res, ipHit.retryAfterMs, tooMany);
+
+    // JSON, or multipart when the visitor attached files
+    let input = req.body;
+    let files = [];
+    if (multipart) {
+      try {
+        ({ input, files } = await readMultipart(req));
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        req.log.warn('Rejected multipart body', { reason: err.message });
+        const key = err.statusCode === 413 ? 'api.attachmentsTooLarge' : 'api.validationFailed';
+        return res.status(err.statusCode).json({ success: false, message: t(key) });
+      }
+      locale = resolveLocale(input.locale, acceptLanguage);
+    }
+
+    const { company, token } = input || {};
 
     // honeypot
-    if (company) return res.status(400).json({ success: false, message: 'Validação falhou.' });
-
-    // basic validation
-    if (!name || name.trim().length < 3) return res.status(400).json({ success: false, message: 'Nome inválido.' });
-    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ success: false, message: 'Email inválido.' });
-    if (!message || message.trim().length < 10) return res.status(400).json({ success: false, message: 'Mensagem muito curta.' });
-
-    const transporter = await getTransporter();
-
-    const logoPath = findLogoLocal();
-    const attachments = [];
-    if (logoPath) attachments.push({ filename: path.basename(logoPath), path: logoPath, cid: 'portfolio_logo' });
-
-    const from = FROM_EMAIL || `"Portfólio" <${process.env.SMTP_USER}>`;
-    const to = TO_EMAIL;
-
-    const html = `<!doctype html><html lang="pt-BR"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>Novo contacto</title></head>
-    <body style="margin:0;padding:0;background:#0b0f14;color:#e6eef8;font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;">
-      <table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:28px 12px;">
-      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#071019;border-radius:12px;overflow:hidden;border:1px solid rgba(255,255,255,0.04);box-shadow:0 10px 30px rgba(0,0,0,0.6);">
-      <tr><td style="padding:48px 48px;text-align:center;">
-      ${logoPath ? `<img src="cid:portfolio_logo" alt="logo" width="64" height="64" style="display:block;margin:0 auto 14px;border-radius:8px" />` : ''}
-      <h1 style="font-size:20px;margin:0 0 6px;color:#d7b6ff;font-weight:700;">Novo contacto do portfólio</h1>
-      <p style="margin:6px 0 0;color:#9fcbd1;font-size:14px;">Mensagem recebida através do formulário de contacto</p>
-      </td></tr>
-      <tr><td style="padding:0 20px 18px;">
-      <table role="presentation" width="100%" cellpadding="8" cellspacing="0" style="border-radius:10px;background:linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01));border:1px solid rgba(255,255,255,0.03);">
-      <tr><td style="width:120px;vertical-align:top;padding:12px 14px;font-weight:700;color:#b8dfe0">Nome</td><td style="vertical-align:top;padding:12px 14px;color:#e6eef8">${escapeHtml(name)}</td></tr>
-      <tr><td style="vertical-align:top;padding:12px 14px;font-weight:700;color:#b8dfe0">Email</td><td style="vertical-align:top;padding:12px 14px;color:#e6eef8"><a href="mailto:${escapeHtml(email)}" style="color:#9fe8d6;text-decoration:none">${escapeHtml(email)}</a></td></tr>
-      <tr><td style="vertical-align:top;padding:12px 14px;font-weight:700;color:#b8dfe0">Assunto</td><td style="vertical-align:top;padding:12px 14px;color:#e6eef8">Contacto pelo Portfólio</td></tr>
-      </table></td></tr>
-      <tr><td style="padding:0 20px 18px;"><div style="background:rgba(255,255,255,0.02);border-radius:10px;padding:14px;border:1px solid rgba(255,255,255,0.03);color:#cfeff2;line-height:1.5;white-space:pre-wrap;">${escapeHtml(message)}</div></td></tr>
-      <tr><td style="padding:14px 20px 22px;"><table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr>
-      <td style="font-size:12px;color:#98a8b0;padding:6px 0;"><strong>Reply-To:</strong> <a href="mailto:${escapeHtml(email)}" style="color:#9fe8d6;text-decoration:none">${escapeHtml(email)}</a></td>
-      <td style="text-align:right;font-size:12px;color:#98a8b0;padding:6px 0;">Enviado: ${new Date().toLocaleString()}</td></tr></table>
-      <hr style="border:none;height:1px;background:rgba(255,255,255,0.03);margin:12px 0" />
-      <p style="margin:0;font-size:12px;color:#7f8b8f">Recebeste este e-mail porque alguém contactou-te através do formulário do teu portfólio.</p>
-      </td></tr></table></td></tr></table></body></html>`;
-
-    const text = `Novo contacto — ${name}\n\nDe: ${email}\nAssunto: Contacto pelo Portfólio\n\nMensagem:\n${message}\n\nReply-To: ${email}\nEnviado: ${new Date().toISOString()}\n\n----------------------------------------\nRecebeste este e-mail porque alguém contactou-te através do formulário do teu portfólio.`;
-
-    const mailOptions = {
-      from,
-      to,
-      subject: `Novo contacto do portfólio — ${name}`,
-      text,
-      html,
-      replyTo: email,
-      attachments
-    };
+    if (company) return res.status(400).json({ success: false, message: t('api.validationFailed') });
+
+    // schema validation (shared with the browser)
+    const { valid, values, errors } = ContactSchema.validate(input, validationMessages(locale));
+    if (!valid) return res.status(400).json({ success: false, message: t('api.checkFields'), errors });
+    const { name, email, message } = values;
+
+    // attachments: limits, then magic bytes (disguised files are rejected)
+    const upload = prepareAttachments(files);
+    if (!upload.ok) {
+      req.log.warn('Rejected attachments', { reason: upload.reason, files: files.length });
+      const maxMb = Math.floor(ATTACHMENTS.maxTotalBytes / (1024 * 1024));
+      return res.status(400).json({
+        success: false,
+        message: t('api.checkFields'),
+        errors: { [ATTACHMENTS.field]: t(`validation.${upload.reason}`, { maxFiles: ATTACHMENTS.maxFiles, maxMb }) }
+      });
+    }
 
-    await transporter.sendMail(mailOptions);
+    // minimum time between form load and submit
+    const tokenCheck = verifySubmitToken(token, MIN_SUBMIT_MS);
+    if (tokenCheck.reason === 'too-fast') {
+      return sendTooMany(res, tokenCheck.retryAfterMs, { success: false, message: t('api.tooFast') });
+    }
+    if (!tokenCheck.ok) return res.status(400).json({ success: false, message: t('api.sessionExpired') });
+
+    // per-email limit
+    const emailHit = await hitSlidingWindow(store, `rl:email:${email}`, EMAIL_LIMIT, EMAIL_WINDOW_MS);
+    if (!emailHit.allowed) return sendTooMany(res, emailHit.retryAfterMs, tooMany);
+
+    // duplicate message
+    const messageHash = fingerprint(email, message);
+    const duplicateWaitMs = await checkDuplicate(store, messageHash);
+    if (duplicateWaitMs) return sendTooMany(res, duplicateWaitMs, { success: false, message: t('api.duplicate') });
+
+    // spam score: rejected outright, or delivered with a [SPAM?] subject when only suspicious
+    const spam = scoreSubmission(values);
+    req.log.info('Spam check', spam);
+    if (spam.verdict === 'reject') return res.status(400).json({ success: false, message: t('api.spamRejected') });
+
+    // persist first so an SMTP outage never loses the lead
+    const messageStore = getMessageStore();
+    const submission = Object.assign({}, values, { locale, spam }, upload.meta.length ? { attachments: upload.meta } : {});
+    const delivery = { files: upload.attachments };
+    let record = null;
+    try {
+      record = await messageStore.create(Object.assign({ ip: getClientIp(req) }, submission));
+    } catch (err) {
+      await req.captureError(err, { msg: 'Message storage failed, sending directly' });
+    }
 
-    return res.status(200).json({ success: true, message: 'Mensagem enviada com sucesso. Obrigado!' });
+    // chat/webhook fan-out runs alongside the email within WEBHOOK_BUDGET_MS; its failures are only logged
+    const webhooks = notifyWebhooks(record || submission);
+
+    if (!record) {
+      // storage unavailable: fall back to a direct send
+      await Promise.all([sendNotification(submission, delivery), webhooks]);
+    } else {
+      [record] = await Promise.all([deliverRecord(messageStore, record, delivery), webhooks]);
+      if (record.status !== 'sent') {
+        // kept in the inbox for a retry through /api/messages
+        await rememberMessage(store, messageHash, DUPLICATE_TTL_MS);
+        return res.status(202).json({ success: true, message: t('api.received') });
+      }
+    }
+
+    await rememberMessage(store, messageHash, DUPLICATE_TTL_MS);
+
+    // no auto-reply to a suspected spammer's address
+    if (AUTOREPLY_ENABLED && spam.verdict === 'ok') {
+      const transporter = await getTransporter();
+      await sendAutoReply(transporter, store, { from: getSender(), email, name, message, attachments: getLogoAttachments(), locale, log: req.log });
+    }
+
+    return res.status(200).json({ success: true, message: t('api.sent') });
   } catch (err) {
-    console.error('API /contact error', err);
-    return res.status(500).json({ success: false, message: 'Erro ao enviar a mensagem, tente novamente mais tarde.' });
+    await req.captureError(err);
+    return res.status(500).json({ success: false, message: t('api.error') });
   }
-};
-
+}, {
+  route: '/api/contact',
+  methods: ['GET', 'POST'],
+  contentTypes: ['application/json', 'multipart/form-data'],
+  bodyLimit: { 'multipart/form-data': MULTIPART_BODY_LIMIT }
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const crypto = require('crypto');
+const Resume = require('../public/js/resume');
+const { readResume, readDesignedPdf, renderResumeHtml, renderResumePdf } = require('../lib/resume');
+const { resolveLocale } = require('../lib/templates');
+const { withApi } = require('../lib/middleware');
+
+/**
+ * Résumé from public/data/resume.json.
+ *   GET /api/cv                    format from Accept (HTML, JSON or PDF), language from Accept-Language
+ *   GET /api/cv?format=pdf         explicit format: html | json | pdf
+ *   GET /api/cv?lang=en            explicit language: pt | en
+ *   GET /api/cv?format=pdf&download=1  served as an attachment
+ * JSON is a plain JSON Resume document in the chosen language. The PDF is the hand-made one
+ * in public/cv when that language has one (see readDesignedPdf), else generated from the data.
+ */
+
+const FORMATS = {
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf'
+};
+const MEDIA_TYPES = {
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'application/json': 'json',
+  'application/pdf': 'pdf'
+};
+
+// The printable page is self-contained: inline styles, the avatar from GitHub
+const HTML_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src https://avatars.githubusercontent.com; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+
+/**
+ * Best format for an Accept header, HTML first on ties; null when nothing fits.
+ */
+function negotiateFormat(accept) {
+  if (!accept) return 'html';
+  const ranked = String(accept)
+    .split(',')
+    .map((part, i) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { type: type.trim(), q: q ? parseFloat(q.slice(2)) || 0 : 1, i };
+    })
+    .filter(a => a.type && a.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  for (const { type } of ranked) {
+    if (MEDIA_TYPES[type]) return MEDIA_TYPES[type];
+    if (type === '*/*' || type === 'text/*') return 'html';
+    if (type === 'application/*') return 'json';
+  }
+  return null;
+}
+
+module.exports = withApi(async (req, res) => {
+  const query = req.query || {};
+  const headers = req.headers || {};
+  const locale = resolveLocale(query.lang, headers['accept-language']);
+
+  let format;
+  if (query.format) {
+    format = String(query.format).toLowerCase();
+    if (!FORMATS[format]) return res.status(400).json({ ok: false, message: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+  } else {
+    format = negotiateFormat(headers.accept);
+    if (!format) return res.status(406).json({ ok: false, message: 'Available as text/html, application/json or application/pdf' });
+  }
+
+  let resume;
+  let designedPdf = null;
+  try {
+    resume = await readResume(locale);
+    if (format === 'pdf') designedPdf = await readDesignedPdf(locale);
+  } catch (err) {
+    await req.captureError(err, { msg: 'Résumé unavailable' });
+    return res.status(500).json({ ok: false, message: 'Résumé unavailable' });
+  }
+
+  let body;
+  if (format === 'json') body = JSON.stringify(resume);
+  else if (format === 'html') body = renderResumeHtml(resume, locale);
+  else body = designedPdf || renderResumePdf(resume, locale);
+
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400');
+  res.setHeader('Vary', 'Origin, Accept, Accept-Language, Accept-Encoding');
+  res.setHeader('Content-Language', locale);
+
+  if (headers['if-none-match'] === etag) return res.status(304).end();
+
+  res.setHeader('Content-Type', FORMATS[format]);
+  if (format === 'html') res.setHeader('Content-Security-Policy', HTML_CSP);
+  if (format === 'pdf') {
+    const disposition = query.download === '1' || query.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${Resume.filename(resume, locale, 'pdf')}"`);
+  }
+  if (req.method === 'HEAD') return res.status(200).end();
+  return res.status(200).send(body);
+}, { route: '/api/cv', methods: ['GET', 'HEAD'] });
@@ -0,0 +1,58 @@
+'use strict';
+
+const { getStore } = require('../lib/store');
+const { getClientIp, hitSlidingWindow, sendTooMany } = require('../lib/rate-limit');
+const { getEventStore, sanitizeEvent, MAX_BATCH } = require('../lib/events');
+const { withApi } = require('../lib/middleware');
+
+// Batches per IP (the IP is only used as a rate-limit key, never stored)
+const EVENTS_IP_LIMIT = parseInt(process.env.EVENTS_IP_LIMIT || '60', 10);
+const EVENTS_IP_WINDOW_MS = parseInt(process.env.EVENTS_IP_WINDOW_MS || String(10 * 60 * 1000), 10);
+
+// sendBeacon may arrive as text/plain, so the body can still be a string
+function readBatch(body) {
+  let data = body;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (Array.isArray(data)) return data;
+  return data && Array.isArray(data.events) ? data.events : null;
+}
+
+/**
+ * Cookieless analytics intake.
+ *   POST /api/events { "events": [{ "name": "demo_open", "project": "aurora", "ts": 1700000000000 }] }
+ * Answers 204; requests with "DNT: 1" or "Sec-GPC: 1" are accepted and dropped.
+ */
+module.exports = withApi(async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const headers = req.headers || {};
+  if (headers.dnt === '1' || headers['sec-gpc'] === '1') return res.status(204).end();
+
+  const batch = readBatch(req.body);
+  if (!batch) return res.status(400).json({ ok: false, message: 'events array required' });
+  if (batch.length > MAX_BATCH) return res.status(413).json({ ok: false, message: `At most ${MAX_BATCH} events per batch` });
+
+  try {
+    const hit = await hitSlidingWindow(getStore(), `rl:events:${getClientIp(req)}`, EVENTS_IP_LIMIT, EVENTS_IP_WINDOW_MS);
+    if (!hit.allowed) return sendTooMany(res, hit.retryAfterMs, { ok: false, message: 'Too many requests' });
+
+    const now = Date.now();
+    const events = batch.map(e => sanitizeEvent(e, now)).filter(Boolean);
+    await getEventStore().append(events);
+    return res.status(204).end();
+  } catch (err) {
+    await req.captureError(err);
+    return res.status(500).json({ ok: false, message: 'Internal error' });
+  }
+}, {
+  route: '/api/events',
+  methods: ['POST'],
+  // sendBeacon posts Blobs; browsers may label them text/plain
+  contentTypes: ['application/json', 'text/plain'],
+  bodyLimit: 32 * 1024
+});
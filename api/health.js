@@ -3,6 +3,17 @@
 const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
+const { runHealthChecks, toPrometheus } = require('../lib/health');
+const { withApi } = require('../lib/middleware');
+
+/**
+ * Health endpoints:
+ *   GET /api/health              basic info (?deep=1 adds every registered check)
+ *   GET /api/health/live         liveness: the function answers, no dependencies touched
+ *   GET /api/health/ready        readiness: 503 when a critical check fails
+ * Check results are cached briefly (lib/health.js). Add ?format=prometheus (or
+ * Accept: text/plain; version=0.0.4) to /ready or ?deep=1 for the text exposition format.
+ */
 
 /**
  * Safe env keys to show in the payload (not secrets).
@@ -30,47 +41,6 @@ async function readPackageInfo() {
   }
 }
 
-// Deep check: SMTP verify (only when asked)
-async function checkSmtp(timeoutMs = 4000) {
-  if (!process.env.SMTP_HOST || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
-    return { ok: null, reason: 'SMTP not configured' };
-  }
-  let nodemailer;
-  try {
-    nodemailer = require('nodemailer');
-  } catch (e) {
-    return { ok: null, reason: 'nodemailer not installed' };
-  }
-
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: parseInt(process.env.SMTP_PORT || '587', 10),
-    secure: (String(process.env.SMTP_SECURE || 'false').toLowerCase() === 'true'),
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    },
-    connectionTimeout: 4000,
-    greetingTimeout: 4000,
-    tls: { minVersion: 'TLSv1.2' }
-  });
-
-  const start = Date.now();
-  const verifyPromise = transporter.verify();
-
-  // timeout guard
-  const race = Promise.race([
-    verifyPromise.then(() => ({ ok: true, durationMs: Date.now() - start })),
-    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), timeoutMs))
-  ]);
-
-  try {
-    return await race;
-  } catch (err) {
-    return { ok: false, reason: err && err.message ? err.message : String(err) };
-  }
-}
-
 /**
  * Extract Vercel region and instanceId from header "x-vercel-id" (format seen: cpt1::iad1::instance)
  * Fallback to process.env.VERCEL_REGION or null.
@@ -116,21 +86,48 @@ function getVercelMeta(req) {
   };
 }
 
-module.exports = async (req, res) => {
-  // Allow OPTIONS preflight
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Allow', 'GET,HEAD,OPTIONS,POST');
-    return res.status(204).end();
-  }
+function wantsPrometheus(req) {
+  const query = req.query || {};
+  if (query.format) return query.format === 'prometheus';
+  const accept = String((req.headers && req.headers.accept) || '');
+  return /version=0\.0\.4|application\/openmetrics-text/.test(accept);
+}
 
-  if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'POST') {
-    res.setHeader('Allow', 'GET,HEAD,OPTIONS,POST');
-    return res.status(405).json({ ok: false, message: 'Method not allowed' });
-  }
+function sendPrometheus(res, status, result) {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.status(status).send(toPrometheus(result));
+}
 
+module.exports = withApi(async (req, res) => {
   const now = new Date();
   const nowIso = now.toISOString();
   const uptimeSec = process.uptime();
+  const probe = req.query && req.query.probe;
+
+  // Add health-check timestamp header
+  res.setHeader('x-health-check-time', nowIso);
+
+  // liveness: never touches dependencies
+  if (probe === 'live') {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, status: 'live', timestamp: nowIso, uptime: Math.round(uptimeSec) });
+  }
+
+  // readiness: critical checks decide, degraded ones are only reported
+  if (probe === 'ready') {
+    res.setHeader('Cache-Control', 'no-store');
+    let result;
+    try {
+      result = await runHealthChecks();
+    } catch (err) {
+      await req.captureError(err, { msg: 'Health checks failed to run' });
+      return res.status(503).json({ ok: false, status: 'fail', message: 'Health checks failed to run' });
+    }
+    const status = result.status === 'fail' ? 503 : 200;
+    if (wantsPrometheus(req)) return sendPrometheus(res, status, result);
+    return res.status(status).json(Object.assign({ ok: status === 200, timestamp: nowIso }, result));
+  }
+
   const mem = process.memoryUsage();
   const pkg = await readPackageInfo();
 
@@ -166,9 +163,6 @@ module.exports = async (req, res) => {
     res.setHeader('x-vercel-url', String(vercelMeta.url));
   }
 
-  // Add health-check timestamp header
-  res.setHeader('x-health-check-time', nowIso);
-
   // Determine whether deep checks are requested (explicit)
   const wantDeep = (req.method === 'POST' && req.body && req.body.deep) ||
                    (req.query && (req.query.deep === '1' || req.query.deep === 'true'));
@@ -179,19 +173,24 @@ module.exports = async (req, res) => {
     return res.status(200).json(payload);
   }
 
-  // deep checks - no cache
+  // deep checks - no cache (results are reused server-side for a short window)
   res.setHeader('Cache-Control', 'no-store');
 
-  const checks = { smtp: null };
-
+  let result;
   try {
-    checks.smtp = await checkSmtp(4000);
+    result = await runHealthChecks();
   } catch (err) {
-    checks.smtp = { ok: false, reason: err && err.message ? err.message : String(err) };
+    result = { status: 'fail', checks: {}, reason: err && err.message ? err.message : String(err) };
   }
 
-  payload.checks = checks;
-  if (checks.smtp && checks.smtp.ok === false) payload.ok = false;
+  const status = result.status === 'fail' ? 502 : 200;
+  if (wantsPrometheus(req)) return sendPrometheus(res, status, result);
+
+  payload.status = result.status;
+  payload.checkedAt = result.checkedAt;
+  payload.cached = result.cached;
+  payload.checks = result.checks;
+  if (result.status === 'fail') payload.ok = false;
 
-  return res.status(payload.ok ? 200 : 502).json(payload);
-};
+  return res.status(status).json(payload);
+}, { route: '/api/health', methods: ['GET', 'HEAD', 'POST'] });
@@ -0,0 +1,89 @@
+'use strict';
+
+const { requireToken } = require('../lib/auth');
+const { getMessageStore, STATUSES } = require('../lib/messages');
+const { deliverRecord } = require('../lib/mailer');
+const { withApi } = require('../lib/middleware');
+
+// Max failed messages retried by one "retry-failed" call
+const RETRY_BATCH = 20;
+
+/**
+ * Inbox API for stored contact submissions (token: INBOX_TOKEN).
+ *
+ *   GET   /api/messages?status=failed&read=false&q=text&limit=50&offset=0
+ *   GET   /api/messages/:id
+ *   PATCH /api/messages/:id                  { "read": true }
+ *   POST  /api/messages/:id/retry
+ *   POST  /api/messages { "action": "retry-failed" }
+ *
+ * The stores are per instance: on Vercel each function instance has its own /tmp, so a call
+ * only lists and retries what the instance that answers it stored. Use it as a local or
+ * single-server tool; the owner notification email stays the record of truth there.
+ */
+module.exports = withApi(async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireToken(req, res, 'INBOX_TOKEN')) return;
+
+  const query = req.query || {};
+  const body = req.body || {};
+  const id = query.id || body.id || null;
+  const store = getMessageStore();
+
+  try {
+    if (req.method === 'GET') {
+      if (id) {
+        const record = await store.get(id);
+        if (!record) return res.status(404).json({ ok: false, message: 'Not found' });
+        return res.status(200).json({ ok: true, item: record });
+      }
+      if (query.status && !STATUSES.includes(query.status)) {
+        return res.status(400).json({ ok: false, message: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      const { total, items } = await store.list({
+        status: query.status,
+        read: query.read,
+        q: query.q,
+        limit: query.limit,
+        offset: query.offset
+      });
+      return res.status(200).json({ ok: true, total, items });
+    }
+
+    if (req.method === 'PATCH') {
+      if (!id) return res.status(400).json({ ok: false, message: 'id required' });
+      if (typeof body.read !== 'boolean') return res.status(400).json({ ok: false, message: 'read must be a boolean' });
+      const record = await store.update(id, { read: body.read, readAt: body.read ? new Date().toISOString() : null });
+      if (!record) return res.status(404).json({ ok: false, message: 'Not found' });
+      return res.status(200).json({ ok: true, item: record });
+    }
+
+    // POST: retry deliveries
+    const action = query.action || body.action;
+
+    if (action === 'retry') {
+      if (!id) return res.status(400).json({ ok: false, message: 'id required' });
+      const record = await store.get(id);
+      if (!record) return res.status(404).json({ ok: false, message: 'Not found' });
+      if (record.status === 'sent') return res.status(409).json({ ok: false, message: 'Already sent', item: record });
+      const updated = await deliverRecord(store, record);
+      return res.status(updated.status === 'sent' ? 200 : 502).json({ ok: updated.status === 'sent', item: updated });
+    }
+
+    if (action === 'retry-failed') {
+      const { items } = await store.list({ status: 'failed', limit: RETRY_BATCH });
+      const results = [];
+      for (const record of items) {
+        const updated = await deliverRecord(store, record);
+        results.push({ id: updated.id, status: updated.status, lastError: updated.lastError });
+      }
+      const sent = results.filter(r => r.status === 'sent').length;
+      return res.status(200).json({ ok: sent === results.length, retried: results.length, sent, results });
+    }
+
+    return res.status(400).json({ ok: false, message: 'Unknown action' });
+  } catch (err) {
+    await req.captureError(err);
+    return res.status(500).json({ ok: false, message: 'Internal error' });
+  }
+}, { route: '/api/messages', methods: ['GET', 'PATCH', 'POST'] });
@@ -0,0 +1,61 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readProjects } = require('../lib/projects');
+const { readCaseStudies } = require('../lib/case-studies');
+const { withApi } = require('../lib/middleware');
+
+/**
+ * Project catalogue.
+ *   GET /api/projects              all projects
+ *   GET /api/projects?featured=1   featured only
+ *   GET /api/projects?tag=React    projects with a tag (case-insensitive)
+ *   GET /api/projects?id=aurora    one project
+ * Projects with a case study (content/case-studies, front-matter "project") carry its caseStudyUrl.
+ * Cached at the edge; ETag/If-None-Match for cheap revalidation.
+ */
+module.exports = withApi(async (req, res) => {
+  let catalogue;
+  try {
+    catalogue = await readProjects();
+  } catch (err) {
+    await req.captureError(err, { msg: 'Catalogue unavailable' });
+    return res.status(500).json({ ok: false, message: 'Catalogue unavailable' });
+  }
+
+  // a missing case study only drops the link, never the catalogue
+  let caseStudies = [];
+  try {
+    caseStudies = await readCaseStudies();
+  } catch (err) {
+    req.log.warn('Case studies unavailable', { error: err.message });
+  }
+  const caseStudyUrls = new Map(caseStudies.filter(c => c.project).reverse().map(c => [c.project, c.url]));
+
+  const query = req.query || {};
+  let projects = catalogue.projects.map(p => Object.assign({}, p, { caseStudyUrl: caseStudyUrls.get(p.id) || null }));
+
+  if (query.id) {
+    const project = projects.find(p => p.id === query.id);
+    if (!project) return res.status(404).json({ ok: false, message: 'Not found' });
+    projects = [project];
+  }
+  if (query.featured === '1' || query.featured === 'true') projects = projects.filter(p => p.featured);
+  if (query.tag) {
+    const tag = String(query.tag).toLowerCase();
+    projects = projects.filter(p => p.tags.some(t => t.toLowerCase() === tag));
+  }
+
+  const body = JSON.stringify({ ok: true, count: projects.length, projects });
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400');
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  if (req.headers && req.headers['if-none-match'] === etag) return res.status(304).end();
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  if (req.method === 'HEAD') return res.status(200).end();
+  return res.status(200).send(body);
+}, { route: '/api/projects', methods: ['GET', 'HEAD'] });
@@ -0,0 +1,39 @@
+'use strict';
+
+const { requireToken } = require('../lib/auth');
+const { getEventStore, DAY_RE } = require('../lib/events');
+const { withApi } = require('../lib/middleware');
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Analytics aggregates (token: STATS_TOKEN).
+ *   GET /api/stats?from=2025-01-01&to=2025-01-31
+ * Defaults to the last 30 days. Returns daily counts per event and per project,
+ * plus totals for the range.
+ */
+module.exports = withApi(async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireToken(req, res, 'STATS_TOKEN')) return;
+
+  const query = req.query || {};
+  for (const key of ['from', 'to']) {
+    if (query[key] && !DAY_RE.test(query[key])) {
+      return res.status(400).json({ ok: false, message: `${key} must be YYYY-MM-DD` });
+    }
+  }
+  const to = query.to || isoDay(Date.now());
+  const from = query.from || isoDay(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (from > to) return res.status(400).json({ ok: false, message: 'from must not be after to' });
+
+  try {
+    const { days, totals } = await getEventStore().aggregate({ from, to });
+    return res.status(200).json({ ok: true, from, to, totals, days });
+  } catch (err) {
+    await req.captureError(err);
+    return res.status(500).json({ ok: false, message: 'Internal error' });
+  }
+}, { route: '/api/stats', methods: ['GET'] });
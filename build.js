@@ -0,0 +1,45 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const Resume = require('./public/js/resume');
+
+/**
+ * Build step (`npm run build`, also run by Vercel): writes the Person JSON-LD from
+ * public/data/resume.json into public/index.html, so crawlers that don't run JavaScript
+ * still get it. main.js swaps it for the visitor's language at runtime.
+ *
+ * The generated block is committed too; test/cv.test.js fails when it falls out of date.
+ */
+
+const INDEX_FILE = path.join(__dirname, 'public', 'index.html');
+const RESUME_FILE = path.join(__dirname, 'public', 'data', 'resume.json');
+const PERSON_LD_RE = /(<script type="application\/ld\+json" id="person-ld">)[\s\S]*?(<\/script>)/;
+
+// JSON-LD of the default locale, indented like the page; "<" escaped so it can't close the script
+function personJsonLd(resume = JSON.parse(fs.readFileSync(RESUME_FILE, 'utf8'))) {
+  const locale = Resume.DEFAULT_LOCALE;
+  const json = JSON.stringify(Resume.toJsonLd(Resume.localize(resume, locale), locale), null, 2).replace(/</g, '\\u003c');
+  return json.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+// index.html with the person-ld block filled in; throws when the placeholder is missing
+function withPersonJsonLd(html, json = personJsonLd()) {
+  if (!PERSON_LD_RE.test(html)) throw new Error('public/index.html: <script type="application/ld+json" id="person-ld"> not found');
+  return html.replace(PERSON_LD_RE, (m, open, close) => `${open}\n${json}\n  ${close}`);
+}
+
+function build() {
+  const html = fs.readFileSync(INDEX_FILE, 'utf8');
+  const next = withPersonJsonLd(html);
+  if (next !== html) fs.writeFileSync(INDEX_FILE, next, 'utf8');
+  console.log(next !== html ? 'index.html: JSON-LD atualizado' : 'index.html: JSON-LD já atualizado');
+}
+
+if (require.main === module) build();
+
+module.exports = {
+  INDEX_FILE,
+  personJsonLd,
+  withPersonJsonLd
+};
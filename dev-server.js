@@ -0,0 +1,229 @@
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local development server (no Vercel CLI needed): `npm start`.
+ *
+ * - walks the `routes` of vercel.json in order: `headers` (+ `continue`), `{ handle: 'filesystem' }`
+ *   (files under public/), and `dest` rewrites to /api/*.js or /public/*
+ * - mounts api/*.js with the Vercel helpers the handlers use: req.query, req.body (parsed on
+ *   first access, 400 on invalid JSON), res.status(), res.json(), res.send()
+ *
+ * PORT (default 3000). Handlers are required once; restart after editing them.
+ */
+
+const ROOT = __dirname;
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const API_DIR = path.join(ROOT, 'api');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.woff2': 'font/woff2'
+};
+
+function loadRoutes(configPath = path.join(ROOT, 'vercel.json')) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return (config.routes || []).map(route => (route.src ? Object.assign({}, route, { re: new RegExp(`^${route.src}$`) }) : route));
+}
+
+// "$1" / "$name" placeholders in a dest, filled from the src match
+function fillDest(dest, match) {
+  return dest.replace(/\$(\w+)/g, (m, key) => {
+    const value = /^\d+$/.test(key) ? match[Number(key)] : (match.groups || {})[key];
+    return value === undefined ? '' : value;
+  });
+}
+
+// Resolve a URL path inside a base dir (no traversal); null when it is not a file
+function fileIn(baseDir, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (e) {
+    return null;
+  }
+  const file = path.join(baseDir, path.normalize(decoded).replace(/^([/\\])+/, ''));
+  if (file !== baseDir && !file.startsWith(baseDir + path.sep)) return null;
+  try {
+    const stat = fs.statSync(file);
+    if (stat.isFile()) return file;
+    if (stat.isDirectory()) return fileIn(baseDir, path.posix.join(urlPath, 'index.html'));
+  } catch (e) {
+    // not found
+  }
+  return null;
+}
+
+function serveFile(req, res, file) {
+  res.setHeader('Content-Type', MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+  res.setHeader('Content-Length', fs.statSync(file).size);
+  if (req.method === 'HEAD') return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Same rules as the Vercel Node helpers: JSON, urlencoded and text are parsed, anything else stays a Buffer
+function parseBody(raw, contentType) {
+  if (!raw.length) return undefined;
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json') {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+      throw Object.assign(new Error('Invalid JSON'), { statusCode: 400 });
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+  if (type.startsWith('text/')) return raw.toString('utf8');
+  return raw;
+}
+
+function addVercelHelpers(req, res, { query, raw }) {
+  req.query = query;
+  let parsed;
+  let done = false;
+  Object.defineProperty(req, 'body', {
+    configurable: true,
+    get() {
+      if (!done) {
+        parsed = parseBody(raw, req.headers['content-type']);
+        done = true;
+      }
+      return parsed;
+    },
+    set(value) {
+      parsed = value;
+      done = true;
+    }
+  });
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    if (body === undefined || body === null) return res.end();
+    if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      return res.end(body);
+    }
+    if (typeof body === 'object') return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.end(String(body));
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.end(JSON.stringify(body));
+  };
+}
+
+async function runFunction(req, res, file, query) {
+  let raw = Buffer.alloc(0);
+  try {
+    raw = await readRawBody(req);
+  } catch (err) {
+    res.writeHead(err.statusCode || 400, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, message: err.message }));
+  }
+  addVercelHelpers(req, res, { query, raw });
+  try {
+    await require(file)(req, res);
+  } catch (err) {
+    console.error(`dev-server: ${path.relative(ROOT, file)} threw`, err);
+    if (!res.headersSent) {
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok: false, message: err.statusCode ? err.message : 'Internal error' }));
+    }
+  }
+  if (!res.writableEnded) res.end();
+}
+
+// A rewrite target: /api/x.js?...  -> function, /public/... -> static file
+function serveDest(req, res, dest, query) {
+  const target = new URL(dest, 'http://localhost');
+  const merged = Object.assign({}, query, Object.fromEntries(target.searchParams));
+  if (target.pathname.startsWith('/api/')) {
+    const file = fileIn(API_DIR, target.pathname.slice('/api/'.length));
+    if (file && file.endsWith('.js')) return runFunction(req, res, file, merged);
+  }
+  const file = fileIn(ROOT, target.pathname);
+  if (file) return serveFile(req, res, file);
+  return false;
+}
+
+function createDevServer({ routes = loadRoutes() } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const pathname = url.pathname;
+
+    for (const route of routes) {
+      if (route.handle === 'filesystem') {
+        const file = fileIn(PUBLIC_DIR, pathname);
+        if (file) return serveFile(req, res, file);
+        // api/<name> without a rewrite, like Vercel's zero-config functions
+        const fn = pathname.startsWith('/api/') && fileIn(API_DIR, `${pathname.slice('/api/'.length)}.js`);
+        if (fn) return runFunction(req, res, fn, query);
+        continue;
+      }
+      if (!route.re) continue;
+      const match = pathname.match(route.re);
+      if (!match) continue;
+      if (route.headers) Object.entries(route.headers).forEach(([name, value]) => res.setHeader(name, value));
+      if (route.dest) {
+        const served = serveDest(req, res, fillDest(route.dest, match), query);
+        if (served !== false) return served;
+      }
+      if (!route.continue && route.dest) break;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  });
+}
+
+module.exports = {
+  createDevServer,
+  loadRoutes
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT || '3000', 10);
+  createDevServer().listen(port, () => {
+    console.log(`Dev server on http://localhost:${port}`);
+  });
+}
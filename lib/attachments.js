@@ -0,0 +1,92 @@
+'use strict';
+
+const path = require('path');
+const ContactSchema = require('../public/js/contact-schema');
+
+/**
+ * Server-side checks for contact form attachments (limits live in ContactSchema.attachments).
+ * The type is decided by the file's magic bytes, never by the name or the declared
+ * Content-Type: a renamed executable is rejected, and the stored name gets the real extension.
+ */
+
+const RULES = ContactSchema.attachments;
+const MAX_NAME_LENGTH = 80;
+
+const startsWith = (data, bytes, offset = 0) => bytes.every((b, i) => data[offset + i] === b);
+
+// Content types detected from the first bytes; docx is a zip with a Word part and no macros
+const SIGNATURES = [
+  { type: 'application/pdf', ext: 'pdf', test: data => startsWith(data, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+  { type: 'image/png', ext: 'png', test: data => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/jpeg', ext: 'jpg', test: data => startsWith(data, [0xff, 0xd8, 0xff]) },
+  {
+    type: 'image/webp',
+    ext: 'webp',
+    test: data => startsWith(data, [0x52, 0x49, 0x46, 0x46]) && startsWith(data, [0x57, 0x45, 0x42, 0x50], 8)
+  },
+  {
+    type: RULES.types.docx,
+    ext: 'docx',
+    test: data => startsWith(data, [0x50, 0x4b, 0x03, 0x04]) &&
+      data.includes('[Content_Types].xml') &&
+      data.includes('word/') &&
+      !data.includes('vbaProject.bin')
+  }
+];
+
+function sniffType(data) {
+  if (!Buffer.isBuffer(data) || data.length < 12) return null;
+  return SIGNATURES.find(sig => sig.test(data)) || null;
+}
+
+// Plain file name with the detected extension: no path, control chars or quotes
+function safeFilename(name, ext) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/\.[^.]*$/, '')
+    .replace(/[\u0000-\u001f\u007f"<>:|?*/\\]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH - ext.length - 1);
+  return `${base || 'anexo'}.${ext}`;
+}
+
+/**
+ * Validate parsed multipart files and turn them into nodemailer attachments.
+ * Returns { ok: true, attachments, meta } or { ok: false, reason: 'fileCount' | 'fileSize' | 'fileType' }.
+ * `meta` ([{ filename, contentType, size }]) is what gets stored with the message.
+ */
+function prepareAttachments(files = []) {
+  const list = files.filter(f => f.field === RULES.field);
+  if (list.length !== files.length) return { ok: false, reason: 'fileType' };
+
+  const declared = list.map(f => ({ name: f.filename, size: f.data.length, type: f.contentType === 'application/octet-stream' ? '' : f.contentType }));
+  const error = ContactSchema.validateFiles(declared, { fileCount: 'fileCount', fileSize: 'fileSize', fileType: 'fileType' });
+  if (error) return { ok: false, reason: error };
+
+  const attachments = [];
+  for (const file of list) {
+    const sig = sniffType(file.data);
+    // the extension must agree with the content (e.g. no .exe renamed to .pdf)
+    if (!sig || RULES.types[path.extname(file.filename).slice(1).toLowerCase()] !== sig.type) {
+      return { ok: false, reason: 'fileType' };
+    }
+    attachments.push({
+      filename: safeFilename(file.filename, sig.ext),
+      content: file.data,
+      contentType: sig.type,
+      contentDisposition: 'attachment'
+    });
+  }
+
+  return {
+    ok: true,
+    attachments,
+    meta: attachments.map(a => ({ filename: a.filename, contentType: a.contentType, size: a.content.length }))
+  };
+}
+
+module.exports = {
+  sniffType,
+  safeFilename,
+  prepareAttachments
+};
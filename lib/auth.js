@@ -0,0 +1,42 @@
+'use strict';
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Token from "Authorization: Bearer <token>" or the x-api-token header
+function getRequestToken(req) {
+  const headers = (req && req.headers) || {};
+  const auth = String(headers.authorization || '');
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+  return headers['x-api-token'] ? String(headers['x-api-token']).trim() : null;
+}
+
+/**
+ * Guard for admin routes. Compares the request token with process.env[envName];
+ * answers 503 when the route is not configured and 401 on a bad token.
+ * Returns true when the request may proceed.
+ */
+function requireToken(req, res, envName) {
+  const expected = process.env[envName];
+  if (!expected) {
+    res.status(503).json({ ok: false, message: `${envName} not configured` });
+    return false;
+  }
+  const given = getRequestToken(req);
+  if (!given || !safeEqual(given, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ ok: false, message: 'Unauthorized' });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  getRequestToken,
+  requireToken
+};
@@ -0,0 +1,312 @@
+'use strict';
+
+const crypto = require('crypto');
+const { createInvite } = require('./ics');
+const { renderTemplate } = require('./templates');
+const { TO_EMAIL, getTransporter, getSender, getLogoAttachments, sanitizeHeader, stripLinks, greetingName } = require('./mailer');
+const { logger } = require('./logger');
+
+/**
+ * Meeting slots from a weekly schedule in the owner's time zone.
+ *
+ *   BOOKING_TIMEZONE          IANA zone of the schedule (default Africa/Maputo)
+ *   BOOKING_SCHEDULE          JSON, weekday -> ranges: {"mon":["09:00-12:00","14:00-17:00"], ...}
+ *   BOOKING_BLOCKED_DATES     comma-separated YYYY-MM-DD (holidays, time off)
+ *   BOOKING_SLOT_MINUTES      meeting length (default 30)
+ *   BOOKING_DAYS_AHEAD        how far ahead slots are offered (default 14)
+ *   BOOKING_MIN_NOTICE_HOURS  earliest slot from now (default 12)
+ *
+ * Slots travel as UTC ISO strings; the browser shows them in the visitor's zone.
+ * A booking claims its slot with store.add(), so two requests on the same store can't take
+ * the same one. The memory and file stores are per instance, so on Vercel bookings are
+ * refused (canClaimSlots) unless STORE_DRIVER=kv.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_SCHEDULE = {
+  mon: ['09:00-12:00', '14:00-17:00'],
+  tue: ['09:00-12:00', '14:00-17:00'],
+  wed: ['09:00-12:00', '14:00-17:00'],
+  thu: ['09:00-12:00', '14:00-17:00'],
+  fri: ['09:00-12:00']
+};
+
+const TIMEZONE = process.env.BOOKING_TIMEZONE || 'Africa/Maputo';
+const SLOT_MINUTES = parseInt(process.env.BOOKING_SLOT_MINUTES || '30', 10);
+const DAYS_AHEAD = parseInt(process.env.BOOKING_DAYS_AHEAD || '14', 10);
+const MIN_NOTICE_MS = parseInt(process.env.BOOKING_MIN_NOTICE_HOURS || '12', 10) * 60 * 60 * 1000;
+// a claimed slot is kept a day past its end, then the key expires
+const CLAIM_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_RE = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// "09:00-12:00" -> [540, 720] (minutes since midnight); null when malformed
+function parseRange(range) {
+  const m = RANGE_RE.exec(String(range).trim());
+  if (!m) return null;
+  const from = Number(m[1]) * 60 + Number(m[2]);
+  const to = Number(m[3]) * 60 + Number(m[4]);
+  return from < to && to <= 24 * 60 ? [from, to] : null;
+}
+
+function parseSchedule(raw) {
+  let source = DEFAULT_SCHEDULE;
+  if (raw) {
+    try {
+      source = JSON.parse(raw);
+    } catch (err) {
+      logger.warn('Invalid BOOKING_SCHEDULE, using the default', { module: 'booking', error: err.message });
+    }
+  }
+  const schedule = {};
+  WEEKDAYS.forEach((day) => {
+    const ranges = Array.isArray(source[day]) ? source[day] : [];
+    schedule[day] = ranges.map(parseRange).filter(Boolean);
+  });
+  return schedule;
+}
+
+function parseBlockedDates(raw) {
+  return new Set(String(raw || '').split(',').map(s => s.trim()).filter(s => DATE_RE.test(s)));
+}
+
+const config = {
+  timeZone: isValidTimeZone(TIMEZONE) ? TIMEZONE : 'UTC',
+  schedule: parseSchedule(process.env.BOOKING_SCHEDULE),
+  blockedDates: parseBlockedDates(process.env.BOOKING_BLOCKED_DATES),
+  slotMinutes: SLOT_MINUTES > 0 ? SLOT_MINUTES : 30,
+  daysAhead: Math.max(1, DAYS_AHEAD),
+  minNoticeMs: MIN_NOTICE_MS
+};
+
+// --- time zone arithmetic (Intl only, no dependencies) ---
+
+const partFormatters = new Map();
+
+// Wall-clock parts of `date` in `timeZone`: { year, month, day, hour, minute }
+function zonedParts(timeZone, date) {
+  let fmt = partFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    partFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  fmt.formatToParts(date).forEach((p) => {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  });
+  return parts;
+}
+
+// Offset of `timeZone` from UTC at instant `ms`, in ms
+function zoneOffset(timeZone, ms) {
+  const p = zonedParts(timeZone, new Date(ms));
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * UTC instant of a wall-clock time in `timeZone`. Returns null for times that don't
+ * exist there (skipped by a DST jump).
+ */
+function zonedTimeToUtc(timeZone, { year, month, day }, minutes) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  let ms = wall - zoneOffset(timeZone, wall);
+  ms = wall - zoneOffset(timeZone, ms);
+  const back = zonedParts(timeZone, new Date(ms));
+  return back.hour * 60 + back.minute === minutes && back.day === day ? ms : null;
+}
+
+// --- slots ---
+
+const slotKey = (start) => `booking:slot:${start}`;
+
+/**
+ * Every slot of the schedule from now + min notice until daysAhead, ignoring bookings.
+ * Returns [{ start, end, date }] with start/end as UTC ISO strings and date as the
+ * schedule-local YYYY-MM-DD.
+ */
+function scheduleSlots(now = Date.now(), cfg = config) {
+  const today = zonedParts(cfg.timeZone, new Date(now));
+  const earliest = now + cfg.minNoticeMs;
+  const slots = [];
+
+  for (let i = 0; i < cfg.daysAhead; i++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    const date = day.toISOString().slice(0, 10);
+    if (cfg.blockedDates.has(date)) continue;
+
+    const ymd = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    cfg.schedule[WEEKDAYS[day.getUTCDay()]].forEach(([from, to]) => {
+      for (let minutes = from; minutes + cfg.slotMinutes <= to; minutes += cfg.slotMinutes) {
+        const start = zonedTimeToUtc(cfg.timeZone, ymd, minutes);
+        if (start === null || start < earliest) continue;
+        slots.push({
+          start: new Date(start).toISOString(),
+          end: new Date(start + cfg.slotMinutes * 60 * 1000).toISOString(),
+          date
+        });
+      }
+    });
+  }
+  return slots;
+}
+
+// Open slots: the schedule minus the ones already claimed in the store
+async function availableSlots(store, now = Date.now(), cfg = config) {
+  const slots = scheduleSlots(now, cfg);
+  const taken = await Promise.all(slots.map(s => store.get(slotKey(s.start))));
+  return slots.filter((s, i) => !taken[i]);
+}
+
+// The schedule slot starting at `start` (any ISO form), or null if it isn't one
+function findSlot(start, now = Date.now(), cfg = config) {
+  const ms = Date.parse(start);
+  if (!Number.isFinite(ms)) return null;
+  const iso = new Date(ms).toISOString();
+  return scheduleSlots(now, cfg).find(s => s.start === iso) || null;
+}
+
+// Claims only exclude each other within one store: fine for a single local process
+function canClaimSlots(store) {
+  return Boolean(store.shared) || !process.env.VERCEL;
+}
+
+/**
+ * Claim a slot for a booking. Resolves the stored booking, or null when the slot was
+ * already taken.
+ */
+async function claimSlot(store, slot, details, now = Date.now()) {
+  const booking = Object.assign({}, details, {
+    id: crypto.randomUUID(),
+    start: slot.start,
+    end: slot.end,
+    createdAt: new Date(now).toISOString()
+  });
+  const ttlMs = Date.parse(slot.end) - now + CLAIM_GRACE_MS;
+  return (await store.add(slotKey(slot.start), booking, ttlMs)) ? booking : null;
+}
+
+function releaseSlot(store, booking) {
+  return store.del(slotKey(booking.start));
+}
+
+// --- emails ---
+
+// "segunda-feira, 20 de outubro de 2026, 09:00 (Africa/Maputo)"
+function formatSlot(start, locale, timeZone) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : config.timeZone;
+  const text = new Intl.DateTimeFormat(locale === 'en' ? 'en-GB' : 'pt-PT', {
+    timeZone: zone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(new Date(start));
+  return `${text} (${zone})`;
+}
+
+/**
+ * Email the invite (.ics, METHOD:REQUEST) to the owner and to the visitor.
+ * Both messages share the same UID so calendars treat them as one event.
+ * Throws when the owner's copy fails (the caller releases the slot); a failed
+ * visitor copy is only logged, the owner still has the contact.
+ */
+async function sendBookingInvites(booking) {
+  const transporter = await getTransporter();
+  const logo = getLogoAttachments();
+  const host = String(TO_EMAIL || '').split('@')[1] || 'portfolio.local';
+  const vars = {
+    name: booking.name,
+    email: booking.email,
+    note: booking.note,
+    minutes: Math.round((Date.parse(booking.end) - Date.parse(booking.start)) / 60000),
+    hasLogo: logo.length > 0
+  };
+
+  // the visitor's copy goes to an address nobody verified: no note, no links, only a plain first name
+  const guest = renderTemplate('booking-confirmation', booking.locale, {
+    firstName: greetingName(booking.name),
+    minutes: vars.minutes,
+    hasLogo: vars.hasLogo,
+    when: formatSlot(booking.start, booking.locale, booking.timeZone)
+  });
+  const owner = renderTemplate('booking-notification', booking.locale, Object.assign({}, vars, {
+    when: formatSlot(booking.start, booking.locale, config.timeZone),
+    visitorWhen: booking.timeZone && booking.timeZone !== config.timeZone ? formatSlot(booking.start, booking.locale, booking.timeZone) : null
+  }));
+
+  const icalEvent = (description, attendeeName) => ({
+    filename: 'convite.ics',
+    method: 'REQUEST',
+    content: createInvite({
+      uid: `${booking.id}@${host}`,
+      start: booking.start,
+      end: booking.end,
+      summary: guest.subject,
+      description,
+      organizer: { name: 'Estandar Mustaq', email: TO_EMAIL },
+      attendees: [{ name: attendeeName, email: booking.email }]
+    })
+  });
+
+  await transporter.sendMail({
+    from: getSender(),
+    to: TO_EMAIL,
+    replyTo: booking.email,
+    subject: sanitizeHeader(owner.subject, 120),
+    text: owner.text,
+    html: owner.html,
+    attachments: logo,
+    icalEvent: icalEvent(booking.note || '', booking.name)
+  });
+
+  try {
+    await transporter.sendMail({
+      from: getSender(),
+      to: booking.email,
+      replyTo: TO_EMAIL,
+      subject: sanitizeHeader(guest.subject, 120),
+      text: guest.text,
+      html: guest.html,
+      attachments: logo,
+      icalEvent: icalEvent('', sanitizeHeader(stripLinks(booking.name, ''), 100))
+    });
+    return { guestNotified: true };
+  } catch (err) {
+    logger.warn('Booking invite to visitor failed', { module: 'booking', bookingId: booking.id, err });
+    return { guestNotified: false };
+  }
+}
+
+module.exports = {
+  config,
+  isValidTimeZone,
+  parseSchedule,
+  zonedTimeToUtc,
+  scheduleSlots,
+  availableSlots,
+  findSlot,
+  canClaimSlots,
+  claimSlot,
+  releaseSlot,
+  formatSlot,
+  sendBookingInvites
+};
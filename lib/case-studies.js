@@ -0,0 +1,208 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs').promises;
+const { escapeHtml } = require('./templates');
+const { renderMarkdown } = require('./markdown');
+const { logger } = require('./logger');
+
+/**
+ * Case studies: content/case-studies/<slug>.md, front-matter then Markdown.
+ *
+ *   ---
+ *   title: AuroraNews — portal de notícias
+ *   date: 2024-11-20
+ *   tags: [Next.js, CMS]
+ *   cover: /img/imgForAuroraNewsProject.png
+ *   project: aurora            # data-project id of the portfolio card
+ *   summary: One line for the listing, the feed and og:description
+ *   lang: pt                   # optional, default pt
+ *   draft: true                # optional, kept out of every listing
+ *   ---
+ *
+ * Also builds the sitemap and the RSS feed (SITE_URL, default the production URL).
+ */
+
+const SITE_URL = (process.env.SITE_URL || 'https://estandarmustaq.vercel.app').replace(/\/+$/, '');
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const WORDS_PER_MINUTE = 200;
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+
+function contentDir() {
+  return process.env.CASE_STUDIES_DIR || path.join(process.cwd(), 'content', 'case-studies');
+}
+
+// Front-matter values: "quoted", [inline, list], true/false, or plain text
+function parseValue(raw) {
+  const value = raw.trim();
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(parseValue).filter(v => v !== '');
+  if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Split "---\nkey: value\n---\nbody". Supports key: value pairs and "- item" lists
+ * under a key; returns { data, body }.
+ */
+function parseFrontMatter(source) {
+  const text = String(source).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(text);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  match[1].split('\n').forEach((line) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    const item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1]));
+      return;
+    }
+    const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!pair) return;
+    listKey = pair[2].trim() ? null : pair[1];
+    data[pair[1]] = listKey ? [] : parseValue(pair[2]);
+  });
+  return { data, body: text.slice(match[0].length) };
+}
+
+const plainText = (html) => html.replace(/<[^>]+>/g, ' ').replace(/&[a-z#0-9]+;/gi, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * One case study from its file contents; null (and a warning) when the front-matter
+ * lacks a title or a YYYY-MM-DD date.
+ */
+function parseCaseStudy(slug, source) {
+  const { data, body } = parseFrontMatter(source);
+  if (!data.title || !DATE_RE.test(String(data.date || ''))) {
+    logger.warn('Case study skipped: title and date (YYYY-MM-DD) are required', { module: 'case-studies', slug });
+    return null;
+  }
+  const { html, headings } = renderMarkdown(body);
+  const text = plainText(html);
+  const firstParagraph = (/<p>([\s\S]*?)<\/p>/.exec(html) || [])[1];
+  const summary = data.summary || (firstParagraph ? plainText(firstParagraph) : '');
+
+  return {
+    slug,
+    url: `/case-studies/${slug}`,
+    title: String(data.title),
+    date: data.date,
+    updated: DATE_RE.test(String(data.updated || '')) ? data.updated : data.date,
+    tags: (Array.isArray(data.tags) ? data.tags : [data.tags]).filter(Boolean).map(String),
+    cover: data.cover ? String(data.cover) : null,
+    project: data.project ? String(data.project) : null,
+    summary: summary.length > 200 ? `${summary.slice(0, 197).replace(/\s+\S*$/, '')}…` : summary,
+    lang: data.lang === 'en' ? 'en' : 'pt',
+    draft: data.draft === true,
+    readingMinutes: Math.max(1, Math.round(text.split(' ').length / WORDS_PER_MINUTE)),
+    headings,
+    html
+  };
+}
+
+/**
+ * Every published case study, newest first.
+ */
+async function readCaseStudies({ includeDrafts = false } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(contentDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = await Promise.all(files
+    .filter(file => file.endsWith('.md') && SLUG_RE.test(file.slice(0, -3)))
+    .map(async file => parseCaseStudy(file.slice(0, -3), await fs.readFile(path.join(contentDir(), file), 'utf8'))));
+  return entries
+    .filter(entry => entry && (includeDrafts || !entry.draft))
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : a.slug.localeCompare(b.slug)));
+}
+
+async function getCaseStudy(slug) {
+  if (!SLUG_RE.test(String(slug || ''))) return null;
+  const entries = await readCaseStudies();
+  return entries.find(entry => entry.slug === slug) || null;
+}
+
+const absoluteUrl = (url) => (/^https?:\/\//i.test(url) ? url : `${SITE_URL}${url.startsWith('/') ? '' : '/'}${url}`);
+
+// RFC 822 date for RSS, from YYYY-MM-DD
+const rfc822 = (date) => new Date(`${date}T00:00:00Z`).toUTCString();
+
+/**
+ * sitemap.xml: the home page, the case-study index and every case study.
+ */
+function sitemapXml(entries) {
+  const newest = entries.length ? entries[0].updated : null;
+  const urls = [
+    { loc: `${SITE_URL}/`, lastmod: newest, priority: '1.0' },
+    { loc: `${SITE_URL}/case-studies`, lastmod: newest, priority: '0.8' }
+  ].concat(entries.map(entry => ({ loc: absoluteUrl(entry.url), lastmod: entry.updated, priority: '0.7' })));
+
+  const body = urls.map(u => [
+    '  <url>',
+    `    <loc>${escapeHtml(u.loc)}</loc>`,
+    u.lastmod ? `    <lastmod>${u.lastmod}</lastmod>` : null,
+    `    <priority>${u.priority}</priority>`,
+    '  </url>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+}
+
+// Feed readers need absolute links and image sources; "]]>" would end the CDATA block
+const feedHtml = (html) => html
+  .replace(/(src|href)="\/(?!\/)/g, `$1="${SITE_URL}/`)
+  .replace(/]]>/g, ']]]]><![CDATA[>');
+
+/**
+ * RSS 2.0 feed of the case studies (full HTML in content:encoded).
+ */
+function rssXml(entries, { title, description, language = 'pt' } = {}) {
+  const items = entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeHtml(entry.title)}</title>`,
+    `      <link>${escapeHtml(absoluteUrl(entry.url))}</link>`,
+    `      <guid isPermaLink="true">${escapeHtml(absoluteUrl(entry.url))}</guid>`,
+    `      <pubDate>${rfc822(entry.date)}</pubDate>`,
+    `      <description>${escapeHtml(entry.summary)}</description>`,
+    entry.tags.map(tag => `      <category>${escapeHtml(tag)}</category>`).join('\n'),
+    entry.cover && IMAGE_TYPES[path.extname(entry.cover).toLowerCase()]
+      ? `      <enclosure url="${escapeHtml(absoluteUrl(entry.cover))}" type="${IMAGE_TYPES[path.extname(entry.cover).toLowerCase()]}" length="0"/>`
+      : null,
+    `      <content:encoded><![CDATA[${feedHtml(entry.html)}]]></content:encoded>`,
+    '    </item>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeHtml(title)}</title>`,
+    `    <link>${SITE_URL}/case-studies</link>`,
+    `    <description>${escapeHtml(description)}</description>`,
+    `    <language>${language}</language>`,
+    `    <atom:link href="${SITE_URL}/rss.xml" rel="self" type="application/rss+xml"/>`,
+    entries.length ? `    <lastBuildDate>${rfc822(entries[0].updated)}</lastBuildDate>` : null,
+    items || null,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(v => v !== null).join('\n');
+}
+
+module.exports = {
+  SITE_URL,
+  contentDir,
+  parseFrontMatter,
+  parseCaseStudy,
+  readCaseStudies,
+  getCaseStudy,
+  absoluteUrl,
+  sitemapXml,
+  rssXml
+};
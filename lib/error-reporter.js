@@ -0,0 +1,60 @@
+'use strict';
+
+const { redact } = require('./logger');
+
+/**
+ * Error reporting for unexpected failures. A reporter is any object with
+ *   captureException(err, context) -> void | Promise
+ * Plug in a vendor SDK with setErrorReporter(); by default errors are POSTed as
+ * redacted JSON to ERROR_REPORT_URL when it is set, otherwise only logged.
+ */
+
+const REPORT_TIMEOUT_MS = parseInt(process.env.ERROR_REPORT_TIMEOUT_MS || '3000', 10);
+
+const noopReporter = { name: 'none', captureException() {} };
+
+function createHttpReporter(url) {
+  return {
+    name: 'http',
+    async captureException(err, context = {}) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), REPORT_TIMEOUT_MS);
+      try {
+        await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(redact({ error: err, context, time: new Date().toISOString() })),
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+function getErrorReporter() {
+  if (global.__errorReporter) return global.__errorReporter;
+  global.__errorReporter = process.env.ERROR_REPORT_URL ? createHttpReporter(process.env.ERROR_REPORT_URL) : noopReporter;
+  return global.__errorReporter;
+}
+
+function setErrorReporter(reporter) {
+  global.__errorReporter = reporter;
+}
+
+// Never throws: a broken reporter must not take the request down with it
+async function reportError(err, context) {
+  try {
+    await getErrorReporter().captureException(err, context);
+  } catch (e) {
+    // swallowed on purpose; the original error is already logged
+  }
+}
+
+module.exports = {
+  createHttpReporter,
+  getErrorReporter,
+  setErrorReporter,
+  reportError
+};
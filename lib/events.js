@@ -0,0 +1,165 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * First-party analytics events (cookieless, no IP or user id stored).
+ * Every adapter exposes:
+ *   append(events) -> count       aggregate({ from, to }) -> { days, totals }
+ *
+ * Stored event: { ts, day, name, project, label, path }
+ */
+
+const EVENT_NAMES = ['page_view', 'cta_click', 'demo_open', 'cv_download', 'copy_email', 'form_submit'];
+const MAX_BATCH = 50;
+// client timestamps further off than this are replaced by the server time
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const ID_RE = /^[\w-]{1,64}$/;
+const LABEL_RE = /^[\w:.-]{1,40}$/;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate one client event; returns the stored shape or null when it is not
+ * a known event. Free text is never kept: ids and labels must be slug-like.
+ */
+function sanitizeEvent(raw, now = Date.now()) {
+  if (!raw || typeof raw !== 'object' || !EVENT_NAMES.includes(raw.name)) return null;
+  const clientTs = Number(raw.ts);
+  const ts = Number.isFinite(clientTs) && Math.abs(now - clientTs) <= MAX_CLOCK_SKEW_MS ? clientTs : now;
+  const iso = new Date(ts).toISOString();
+  const pagePath = typeof raw.path === 'string' && raw.path.startsWith('/') ? raw.path.split(/[?#]/)[0].slice(0, 200) : null;
+  return {
+    ts: iso,
+    day: iso.slice(0, 10),
+    name: raw.name,
+    project: typeof raw.project === 'string' && ID_RE.test(raw.project) ? raw.project : null,
+    label: typeof raw.label === 'string' && LABEL_RE.test(raw.label) ? raw.label : null,
+    path: pagePath
+  };
+}
+
+// Daily counts per event and per project for the inclusive [from, to] day range
+function aggregate(events, { from, to } = {}) {
+  const days = new Map();
+  const totals = { events: {}, projects: {} };
+  const bump = (obj, key) => { obj[key] = (obj[key] || 0) + 1; };
+
+  for (const e of events) {
+    if ((from && e.day < from) || (to && e.day > to)) continue;
+    if (!days.has(e.day)) days.set(e.day, { day: e.day, total: 0, events: {}, projects: {} });
+    const bucket = days.get(e.day);
+    bucket.total++;
+    bump(bucket.events, e.name);
+    bump(totals.events, e.name);
+    if (e.project) {
+      bucket.projects[e.project] = bucket.projects[e.project] || {};
+      totals.projects[e.project] = totals.projects[e.project] || {};
+      bump(bucket.projects[e.project], e.name);
+      bump(totals.projects[e.project], e.name);
+    }
+  }
+
+  return {
+    days: Array.from(days.values()).sort((a, b) => (a.day < b.day ? -1 : 1)),
+    totals
+  };
+}
+
+function createMemoryEventStore() {
+  const events = [];
+
+  return {
+    driver: 'memory',
+    async append(batch) {
+      events.push(...batch);
+      return batch.length;
+    },
+    async aggregate(range) {
+      return aggregate(events, range);
+    }
+  };
+}
+
+// JSON-lines adapter: one event per line, append-only
+function createJsonlEventStore(filePath) {
+  const file = filePath || defaultEventsFile();
+  let queue = Promise.resolve();
+
+  const exclusive = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const readAll = async () => {
+    let raw = '';
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const events = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (e) {
+        // skip a torn/partial line
+      }
+    }
+    return events;
+  };
+
+  return {
+    driver: 'jsonl',
+    file,
+    append(batch) {
+      return exclusive(async () => {
+        if (!batch.length) return 0;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, batch.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
+        return batch.length;
+      });
+    },
+    aggregate(range) {
+      return exclusive(async () => aggregate(await readAll(), range));
+    }
+  };
+}
+
+// Local default: ./data/events.jsonl; on Vercel only /tmp is writable
+function defaultEventsFile() {
+  if (process.env.EVENTS_FILE) return process.env.EVENTS_FILE;
+  const base = process.env.VERCEL ? os.tmpdir() : path.join(process.cwd(), 'data');
+  return path.join(base, 'events.jsonl');
+}
+
+/**
+ * Shared event store for this instance, chosen by EVENTS_DRIVER (jsonl | memory).
+ * Tests can swap it with setEventStore().
+ */
+function getEventStore() {
+  if (global.__eventStore) return global.__eventStore;
+  const driver = String(process.env.EVENTS_DRIVER || 'jsonl').toLowerCase();
+  global.__eventStore = driver === 'memory' ? createMemoryEventStore() : createJsonlEventStore();
+  return global.__eventStore;
+}
+
+function setEventStore(store) {
+  global.__eventStore = store;
+}
+
+module.exports = {
+  EVENT_NAMES,
+  MAX_BATCH,
+  DAY_RE,
+  sanitizeEvent,
+  aggregate,
+  createMemoryEventStore,
+  createJsonlEventStore,
+  getEventStore,
+  setEventStore
+};
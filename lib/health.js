@@ -0,0 +1,274 @@
+'use strict';
+
+const os = require('os');
+const v8 = require('v8');
+const path = require('path');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const { getStore } = require('./store');
+const { getMessageStore } = require('./messages');
+const { getEventStore } = require('./events');
+const { findLogoLocal } = require('./mailer');
+const { transportConfigs, verifyTransport } = require('./transports');
+
+/**
+ * Health check registry. A check is an async function returning
+ *   { ok: true | false | null, degraded?, reason?, ...details }
+ * (ok: null = skipped / not configured; degraded: true = passing with a partial failure)
+ * and is registered with a timeout and a severity:
+ *   critical -> a failure makes the service not ready
+ *   degraded -> a failure is reported but the service stays ready
+ */
+
+const SEVERITIES = ['critical', 'degraded'];
+
+// Env vars the contact flow cannot work without (reported by name only)
+const REQUIRED_ENV = ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS'];
+
+const DISK_MIN_FREE_MB = parseInt(process.env.HEALTH_DISK_MIN_FREE_MB || '100', 10);
+const HEAP_MAX_RATIO = parseFloat(process.env.HEALTH_HEAP_MAX_RATIO || '0.9');
+
+const errorMessage = (err) => (err && err.message ? err.message : String(err));
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), timeoutMs); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+function createHealthRegistry() {
+  const checks = new Map();
+
+  return {
+    register(name, fn, { timeoutMs = 2000, severity = 'critical' } = {}) {
+      if (!SEVERITIES.includes(severity)) throw new Error(`Unknown severity "${severity}"`);
+      checks.set(name, { name, fn, timeoutMs, severity });
+      return this;
+    },
+    names() {
+      return Array.from(checks.keys());
+    },
+    /**
+     * Run every check (or only the given severities) in parallel.
+     * Returns { status: 'ok' | 'degraded' | 'fail', checks: { name: result } }.
+     */
+    async run({ severities = SEVERITIES } = {}) {
+      const selected = Array.from(checks.values()).filter(c => severities.includes(c.severity));
+      const results = await Promise.all(selected.map(async (check) => {
+        const start = Date.now();
+        let result;
+        try {
+          result = await withTimeout(Promise.resolve().then(check.fn), check.timeoutMs);
+        } catch (err) {
+          result = { ok: false, reason: errorMessage(err) };
+        }
+        return [check.name, Object.assign({ severity: check.severity }, result, { durationMs: Date.now() - start })];
+      }));
+
+      const out = Object.fromEntries(results);
+      const failed = Object.values(out).filter(r => r.ok === false);
+      const degraded = failed.length || Object.values(out).some(r => r.ok === true && r.degraded);
+      const status = failed.some(r => r.severity === 'critical') ? 'fail' : (degraded ? 'degraded' : 'ok');
+      return { status, checkedAt: new Date().toISOString(), checks: out };
+    }
+  };
+}
+
+/**
+ * Mail: verify every configured transport on a dedicated connection and report it
+ * with its circuit state from the shared router (lib/transports.js).
+ * Passes while at least one transport works; a broken one marks the result degraded.
+ */
+async function checkMail() {
+  const configs = transportConfigs();
+  if (!configs.length) return { ok: false, reason: 'no mail transport configured' };
+
+  const router = global.__transporter;
+  const circuits = router && typeof router.status === 'function' ? router.status() : [];
+  const results = await Promise.all(configs.map(config => verifyTransport(config, { timeoutMs: 3500 })
+    .catch(err => ({ ok: false, reason: errorMessage(err) }))));
+
+  const transports = {};
+  configs.forEach((config, i) => {
+    const circuit = circuits.find(c => c.name === config.name);
+    transports[config.name] = Object.assign({ kind: config.kind }, results[i], circuit ? {
+      circuit: circuit.circuit,
+      failures: circuit.failures,
+      openUntil: circuit.openUntil,
+      lastError: circuit.lastError
+    } : { circuit: 'closed' });
+  });
+
+  const working = results.filter(r => r.ok).length;
+  if (!working) return { ok: false, reason: 'no mail transport reachable', transports };
+  return { ok: true, degraded: working < results.length, transports };
+}
+
+// Storage: round-trip on the key/value store + writable dirs for the JSONL stores
+async function checkStorage() {
+  const store = getStore();
+  const key = `health:${process.pid}:${Date.now()}`;
+  await store.set(key, 'ok', 60 * 1000);
+  const value = await store.get(key);
+  await store.del(key);
+  if (value !== 'ok') return { ok: false, reason: 'store round-trip failed', driver: store.driver };
+
+  const files = [getMessageStore(), getEventStore()].map(s => s.file).filter(Boolean);
+  for (const file of files) {
+    const dir = path.dirname(file);
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.access(dir, fsConstants.W_OK);
+    } catch (err) {
+      return { ok: false, reason: `${path.basename(file)} directory not writable`, driver: store.driver };
+    }
+  }
+  return { ok: true, driver: store.driver };
+}
+
+// Env: names of missing required vars (values are never reported)
+async function checkEnv() {
+  const extra = String(process.env.HEALTH_REQUIRED_ENV || '').split(',').map(s => s.trim()).filter(Boolean);
+  const required = Array.from(new Set(REQUIRED_ENV.concat(extra)));
+  const missing = required.filter(name => !process.env[name]);
+  return missing.length ? { ok: false, reason: 'missing env vars', missing } : { ok: true, required };
+}
+
+// Static assets the page, the CV and the emails depend on
+async function checkAssets() {
+  const publicDir = path.join(process.cwd(), 'public');
+  const files = [
+    path.join(publicDir, 'img', 'hero-animations.json'),
+    path.join(publicDir, 'data', 'resume.json')
+  ];
+  const missing = [];
+  for (const file of files) {
+    try {
+      await fs.access(file);
+    } catch (e) {
+      missing.push(path.relative(publicDir, file));
+    }
+  }
+  if (!findLogoLocal()) missing.push('email logo (img/favicon.ico or img/logo-icons0.png)');
+  return missing.length ? { ok: false, reason: 'missing assets', missing } : { ok: true };
+}
+
+// Disk: free space where runtime files are written
+async function checkDisk() {
+  if (typeof fs.statfs !== 'function') return { ok: null, reason: 'statfs unavailable' };
+  const stats = await fs.statfs(os.tmpdir());
+  const freeMb = Math.round((stats.bavail * stats.bsize) / 1024 / 1024);
+  return freeMb >= DISK_MIN_FREE_MB
+    ? { ok: true, freeMb, minFreeMb: DISK_MIN_FREE_MB }
+    : { ok: false, reason: 'low disk space', freeMb, minFreeMb: DISK_MIN_FREE_MB };
+}
+
+// Memory: heap usage against the V8 heap limit
+async function checkMemory() {
+  const { used_heap_size: used, heap_size_limit: limit } = v8.getHeapStatistics();
+  const ratio = Math.round((used / limit) * 1000) / 1000;
+  const details = { heapUsedMb: Math.round(used / 1024 / 1024), heapLimitMb: Math.round(limit / 1024 / 1024), ratio, maxRatio: HEAP_MAX_RATIO };
+  return ratio <= HEAP_MAX_RATIO ? Object.assign({ ok: true }, details) : Object.assign({ ok: false, reason: 'heap usage high' }, details);
+}
+
+function createDefaultRegistry() {
+  return createHealthRegistry()
+    .register('mail', checkMail, { timeoutMs: 4000, severity: 'critical' })
+    .register('storage', checkStorage, { timeoutMs: 2000, severity: 'critical' })
+    .register('env', checkEnv, { timeoutMs: 500, severity: 'critical' })
+    .register('assets', checkAssets, { timeoutMs: 1000, severity: 'degraded' })
+    .register('disk', checkDisk, { timeoutMs: 1000, severity: 'degraded' })
+    .register('memory', checkMemory, { timeoutMs: 500, severity: 'degraded' });
+}
+
+/**
+ * Shared registry for this instance. Tests can swap it with setHealthRegistry().
+ */
+function getHealthRegistry() {
+  if (!global.__healthRegistry) global.__healthRegistry = createDefaultRegistry();
+  return global.__healthRegistry;
+}
+
+function setHealthRegistry(registry) {
+  global.__healthRegistry = registry;
+  global.__healthCache = null;
+}
+
+/**
+ * Run the checks, reusing a recent result (HEALTH_CACHE_MS, default 30s) so
+ * frequent monitor pings don't open a new SMTP connection each time.
+ * Concurrent callers share the in-flight run.
+ */
+function runHealthChecks({ fresh = false } = {}) {
+  const ttlMs = parseInt(process.env.HEALTH_CACHE_MS || '30000', 10);
+  const cache = global.__healthCache;
+  if (!fresh && cache && (cache.pending || Date.now() - cache.at < ttlMs)) {
+    return cache.pending || Promise.resolve(Object.assign({ cached: true }, cache.result));
+  }
+
+  const pending = getHealthRegistry().run()
+    .then((result) => {
+      global.__healthCache = { at: Date.now(), result };
+      return Object.assign({ cached: false }, result);
+    })
+    .catch((err) => {
+      global.__healthCache = null;
+      throw err;
+    });
+  global.__healthCache = Object.assign({}, cache, { pending });
+  return pending;
+}
+
+const STATUS_VALUE = { ok: 1, degraded: 0.5, fail: 0 };
+
+/**
+ * Prometheus text exposition (format 0.0.4) of a health result.
+ */
+function toPrometheus(result, { uptimeSec = process.uptime() } = {}) {
+  const label = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const lines = [
+    '# HELP portfolio_health_status Overall health (1 ok, 0.5 degraded, 0 fail).',
+    '# TYPE portfolio_health_status gauge',
+    `portfolio_health_status ${STATUS_VALUE[result.status]}`,
+    '# HELP portfolio_health_check_up Check result (1 pass, 0 fail, -1 skipped).',
+    '# TYPE portfolio_health_check_up gauge'
+  ];
+  const entries = Object.entries(result.checks || {});
+  for (const [name, r] of entries) {
+    const up = r.ok === true ? 1 : (r.ok === false ? 0 : -1);
+    lines.push(`portfolio_health_check_up{check="${label(name)}",severity="${label(r.severity)}"} ${up}`);
+  }
+  lines.push('# HELP portfolio_health_check_duration_seconds Time taken by the check.');
+  lines.push('# TYPE portfolio_health_check_duration_seconds gauge');
+  for (const [name, r] of entries) {
+    lines.push(`portfolio_health_check_duration_seconds{check="${label(name)}"} ${(r.durationMs || 0) / 1000}`);
+  }
+  const transports = Object.entries((result.checks && result.checks.mail && result.checks.mail.transports) || {});
+  if (transports.length) {
+    lines.push('# HELP portfolio_mail_transport_up Mail transport reachable (1) or not (0).');
+    lines.push('# TYPE portfolio_mail_transport_up gauge');
+    for (const [name, t] of transports) {
+      lines.push(`portfolio_mail_transport_up{transport="${label(name)}",kind="${label(t.kind)}"} ${t.ok ? 1 : 0}`);
+    }
+    lines.push('# HELP portfolio_mail_transport_circuit_open Circuit breaker open (1) or not (0).');
+    lines.push('# TYPE portfolio_mail_transport_circuit_open gauge');
+    for (const [name, t] of transports) {
+      lines.push(`portfolio_mail_transport_circuit_open{transport="${label(name)}"} ${t.circuit === 'open' ? 1 : 0}`);
+    }
+  }
+  lines.push('# HELP portfolio_process_uptime_seconds Process uptime.');
+  lines.push('# TYPE portfolio_process_uptime_seconds gauge');
+  lines.push(`portfolio_process_uptime_seconds ${Math.round(uptimeSec)}`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  SEVERITIES,
+  createHealthRegistry,
+  getHealthRegistry,
+  setHealthRegistry,
+  runHealthChecks,
+  toPrometheus
+};
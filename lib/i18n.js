@@ -0,0 +1,33 @@
+'use strict';
+
+const { DEFAULT_LOCALE } = require('./templates');
+
+/**
+ * Server-side lookups in the same dictionaries the site uses (public/i18n/<locale>.json).
+ */
+const dictionaries = {
+  pt: require('../public/i18n/pt.json'),
+  en: require('../public/i18n/en.json')
+};
+
+function lookup(dict, key) {
+  return key.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), dict);
+}
+
+// translate('en', 'api.sent') -> string; falls back to the default locale, then the key itself
+function translate(locale, key, vars = {}) {
+  let value = lookup(dictionaries[locale], key);
+  if (typeof value !== 'string') value = lookup(dictionaries[DEFAULT_LOCALE], key);
+  if (typeof value !== 'string') return key;
+  return value.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+// Validation messages for ContactSchema.validate(input, msgs)
+function validationMessages(locale) {
+  return Object.assign({}, dictionaries[DEFAULT_LOCALE].validation, (dictionaries[locale] || {}).validation);
+}
+
+module.exports = {
+  translate,
+  validationMessages
+};
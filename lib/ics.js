@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * iCalendar (RFC 5545) invites for the meeting bookings.
+ *
+ *   createInvite({ uid, start, end, summary, description, organizer: { name, email },
+ *                  attendees: [{ name, email }], method: 'REQUEST' }) -> string
+ *
+ * Times are written in UTC ("Z"), so no VTIMEZONE block is needed.
+ */
+
+const PRODID = '-//EstandarMustaq//Portfolio Booking//PT';
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped (RFC 5545 3.3.11)
+function escapeText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n?|\n/g, '\\n');
+}
+
+// Parameter values (CN=...) are quoted; quotes and control chars can't appear inside
+function paramValue(value = '') {
+  return `"${String(value).replace(/["\u0000-\u001f\u007f]/g, '')}"`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, never inside a UTF-8 sequence
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function person(prop, { name, email }, params = []) {
+  const all = (name ? [`CN=${paramValue(name)}`] : []).concat(params);
+  return `${[prop].concat(all).join(';')}:mailto:${email}`;
+}
+
+function createInvite({
+  uid,
+  start,
+  end,
+  summary,
+  description = '',
+  location = '',
+  organizer,
+  attendees = [],
+  method = 'REQUEST',
+  sequence = 0,
+  now = new Date()
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    organizer ? person('ORGANIZER', organizer) : null,
+    ...attendees.map(a => person('ATTENDEE', a, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE'])),
+    `SEQUENCE:${sequence}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  formatDate,
+  foldLine,
+  createInvite
+};
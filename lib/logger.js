@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * JSON line logger. One object per line: { time, level, msg, ...bindings, ...fields }.
+ * Emails and IP addresses are redacted from every value before it is written.
+ * LOG_LEVEL: debug | info (default) | warn | error | silent
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const EMAIL_RE = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[a-z]{2,}/gi;
+const IPV4_RE = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+// full form, "::" with groups after it (any number), "::" at the end
+const IPV6_RE = /\b(?:[0-9a-f]{1,4}:){3,7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,6}(?::[0-9a-f]{1,4}){1,6}\b|\b(?:[0-9a-f]{1,4}:){1,7}:(?![\w:])/gi;
+// keys whose values are personal data whatever they look like
+const SENSITIVE_KEYS = new Set(['email', 'ip', 'to', 'from', 'replyto', 'remoteaddress', 'x-forwarded-for', 'x-real-ip']);
+const MAX_DEPTH = 6;
+
+function redactString(str) {
+  return String(str).replace(EMAIL_RE, '[email]').replace(IPV4_RE, '[ip]').replace(IPV6_RE, '[ip]');
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: redactString(err.message),
+    code: err.code,
+    stack: err.stack ? redactString(err.stack) : undefined
+  };
+}
+
+// Deep copy with personal data removed
+function redact(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = SENSITIVE_KEYS.has(key.toLowerCase()) && v != null ? '[redacted]' : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] || LEVELS.info;
+}
+
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < threshold()) return;
+    const entry = Object.assign({ time: new Date().toISOString(), level, msg }, redact(bindings), redact(fields || {}));
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (more) => createLogger(Object.assign({}, bindings, more))
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  redact,
+  createLogger,
+  logger
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { renderTemplate } = require('./templates');
+const { logger } = require('./logger');
+const { transportConfigs, createMailRouter } = require('./transports');
+
+const FROM_EMAIL = process.env.FROM_EMAIL;
+const TO_EMAIL = process.env.TO_EMAIL || process.env.SMTP_USER;
+// Pin the owner's notification to one language (otherwise it follows the visitor's locale)
+const NOTIFY_LOCALE = process.env.CONTACT_NOTIFY_LOCALE || null;
+
+/**
+ * Shared mail router for this instance (lib/transports.js): primary SMTP, optional
+ * secondary SMTP and dev outbox, with failover. Tests can swap it with setTransporter().
+ */
+async function getTransporter() {
+  if (global.__transporter) return global.__transporter;
+  global.__transporter = createMailRouter(transportConfigs());
+  return global.__transporter;
+}
+
+function setTransporter(transporter) {
+  if (global.__transporter && global.__transporter !== transporter && typeof global.__transporter.close === 'function') {
+    global.__transporter.close();
+  }
+  global.__transporter = transporter;
+}
+
+// Single-line, control-char free value for mail headers (subject, display names)
+function sanitizeHeader(str = '', max = 80) {
+  const clean = String(str).replace(/[\r\n\t\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// Visitor text that goes back out from our address must not carry links or addresses,
+// bare domains included ("bit.ly/x"): mail clients turn those into links too
+function stripLinks(str = '', replacement = '[link]') {
+  return String(str)
+    .replace(/(?:https?:\/\/|www\.)\S+|\S+@\S+/gi, replacement)
+    .replace(/\b[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b(?:\/\S*)?/g, replacement);
+}
+
+/**
+ * First name for an email greeting: first word of the name once links are dropped, and
+ * only when it looks like a name (letters, hyphen, apostrophe). '' otherwise.
+ */
+function greetingName(name = '', max = 40) {
+  const first = sanitizeHeader(stripLinks(name, ' '), 200).split(' ')[0] || '';
+  return first.length <= max && /^[\p{L}\p{M}][\p{L}\p{M}'’.-]*$/u.test(first) ? first : '';
+}
+
+function findLogoLocal() {
+  const candidates = [
+    path.join(process.cwd(), 'public', 'img', 'favicon.ico'),
+    path.join(process.cwd(), 'public', 'img', 'logo-icons0.png')
+  ];
+  for (const p of candidates) if (fs.existsSync(p)) return p;
+  return null;
+}
+
+// Inline logo referenced by the templates as cid:portfolio_logo
+function getLogoAttachments() {
+  const logoPath = findLogoLocal();
+  return logoPath ? [{ filename: path.basename(logoPath), path: logoPath, cid: 'portfolio_logo' }] : [];
+}
+
+function getSender() {
+  return FROM_EMAIL || `"Portfólio" <${process.env.SMTP_USER}>`;
+}
+
+// Medium spam score (lib/spam.js): still delivered, but tagged so it can be filtered
+function spamTag(record) {
+  return record.spam && record.spam.verdict === 'flag' ? '[SPAM?] ' : '';
+}
+
+// "brief.pdf (120 KB), spec.docx (48 KB)" for the templates
+function describeAttachments(meta = []) {
+  return meta.map(a => `${a.filename} (${Math.max(1, Math.round((a.size || 0) / 1024))} KB)`).join(', ');
+}
+
+/**
+ * Send the owner notification for a stored submission (see lib/messages.js).
+ * Used for the first delivery and for retries from /api/messages.
+ * `files` are the uploaded attachments (lib/attachments.js); they are only held in
+ * memory, so a retry lists them by name without the content.
+ */
+async function sendNotification(record, { files = [] } = {}) {
+  const transporter = await getTransporter();
+  const logo = getLogoAttachments();
+  const attachments = logo.concat(files);
+  const receivedAt = new Date(record.createdAt || Date.now());
+
+  const notification = renderTemplate('contact-notification', NOTIFY_LOCALE || record.locale, {
+    name: record.name,
+    email: record.email,
+    message: record.message,
+    subject: record.subject,
+    phone: record.phone,
+    budget: record.budget,
+    hasLogo: logo.length > 0,
+    attachmentList: describeAttachments(record.attachments),
+    attachmentsMissing: Boolean(record.attachments && record.attachments.length && !files.length),
+    sentAt: receivedAt.toLocaleString(),
+    sentAtIso: receivedAt.toISOString()
+  });
+
+  return transporter.sendMail({
+    from: getSender(),
+    to: TO_EMAIL,
+    subject: sanitizeHeader(`${spamTag(record)}${notification.subject}`, 120),
+    text: notification.text,
+    html: notification.html,
+    replyTo: record.email,
+    attachments
+  });
+}
+
+/**
+ * Deliver a stored submission and record the outcome on it (status sent/failed, attempts, lastError).
+ * Resolves with the updated record; never throws.
+ */
+async function deliverRecord(messageStore, record, options) {
+  const attempts = (record.attempts || 0) + 1;
+  try {
+    await sendNotification(record, options);
+    return await messageStore.update(record.id, { status: 'sent', attempts, sentAt: new Date().toISOString(), lastError: null });
+  } catch (err) {
+    const lastError = err && err.message ? err.message : String(err);
+    logger.error('Mail delivery failed', { module: 'mailer', messageId: record.id, attempts, error: lastError });
+    try {
+      return await messageStore.update(record.id, { status: 'failed', attempts, lastError });
+    } catch (e) {
+      return Object.assign({}, record, { status: 'failed', attempts, lastError });
+    }
+  }
+}
+
+module.exports = {
+  TO_EMAIL,
+  getTransporter,
+  setTransporter,
+  sanitizeHeader,
+  stripLinks,
+  greetingName,
+  findLogoLocal,
+  getLogoAttachments,
+  getSender,
+  sendNotification,
+  deliverRecord
+};
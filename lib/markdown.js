@@ -0,0 +1,133 @@
+'use strict';
+
+const { escapeHtml } = require('./templates');
+
+/**
+ * Small Markdown renderer for the case studies (trusted content, no dependencies).
+ *
+ * Blocks: # headings (with ids), paragraphs, - / * / 1. lists (one level), > quotes,
+ * ``` fenced code, --- rules, and images on their own line (rendered as <figure>).
+ * Inline: `code`, **bold**, *italic* / _italic_, [links](url), ![images](src "caption").
+ * Raw HTML is escaped; only http(s), mailto and relative URLs are kept.
+ */
+
+const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+function safeUrl(url) {
+  const value = String(url || '').trim();
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase()) ? value : '#';
+}
+
+// "Arquitetura & resultados" -> "arquitetura-resultados"
+function slugify(text) {
+  return String(text)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function renderInline(text) {
+  // code spans are set aside first so nothing inside them is formatted
+  const codes = [];
+  let out = String(text).replace(/`([^`]+)`/g, (m, code) => {
+    codes.push(`<code>${escapeHtml(code)}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  out = escapeHtml(out)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (m, alt, src, title) =>
+      `<img src="${safeUrl(src)}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+      const url = safeUrl(href);
+      const external = /^https?:/i.test(url) ? ' rel="noopener"' : '';
+      return `<a href="${url}"${external}>${label}</a>`;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (m, i) => codes[Number(i)]);
+}
+
+/**
+ * Markdown -> HTML. Returns { html, headings: [{ level, text, id }] }.
+ */
+function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  const headings = [];
+  const ids = new Set();
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let m;
+
+    if ((m = /^```\s*([\w+-]*)\s*$/.exec(line))) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !/^```\s*$/.test(lines[i])) code.push(lines[i]);
+      const lang = m[1] ? ` class="language-${m[1]}"` : '';
+      html.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if ((m = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line))) {
+      flush();
+      const level = m[1].length;
+      let id = slugify(m[2]) || 'section';
+      for (let n = 2; ids.has(id); n++) id = `${slugify(m[2])}-${n}`;
+      ids.add(id);
+      headings.push({ level, text: m[2], id });
+      html.push(`<h${level} id="${id}">${renderInline(m[2])}</h${level}>`);
+    } else if (/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      flush();
+      html.push('<hr>');
+    } else if ((m = /^\s*!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)\s*$/.exec(line))) {
+      flush();
+      const caption = m[3] ? `<figcaption>${renderInline(m[3])}</figcaption>` : '';
+      html.push(`<figure><img src="${escapeHtml(safeUrl(m[2]))}" alt="${escapeHtml(m[1])}" loading="lazy">${caption}</figure>`);
+    } else if (/^>\s?/.test(line)) {
+      flush();
+      const quote = [line.replace(/^>\s?/, '')];
+      while (i + 1 < lines.length && /^>\s?/.test(lines[i + 1])) quote.push(lines[++i].replace(/^>\s?/, ''));
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n')).html}</blockquote>`);
+    } else if ((m = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line))) {
+      flushParagraph();
+      const tag = m[1] ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(m[3]);
+    } else if (!line.trim()) {
+      flush();
+    } else if (list && /^\s+\S/.test(line)) {
+      // continuation of the last list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return { html: html.join('\n'), headings };
+}
+
+module.exports = {
+  slugify,
+  renderInline,
+  renderMarkdown
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+/**
+ * Contact submission storage. Every adapter exposes:
+ *   create(fields) -> record       get(id) -> record | null
+ *   update(id, patch) -> record    list(filter) -> { total, items }
+ * and `shared`: whether every instance sees the same records (neither adapter here does).
+ *
+ * Records carry the delivery state of the owner notification:
+ *   status: 'pending' | 'sent' | 'failed', attempts, lastError, sentAt, read, readAt
+ */
+
+const STATUSES = ['pending', 'sent', 'failed'];
+
+function newRecord(fields) {
+  return Object.assign({}, fields, {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    sentAt: null,
+    read: false,
+    readAt: null
+  });
+}
+
+// Shared filtering/paging: { status, read, q, limit, offset }, newest first
+function applyFilter(records, filter = {}) {
+  const q = filter.q ? String(filter.q).toLowerCase() : null;
+  const read = filter.read === undefined || filter.read === null || filter.read === '' ? null : String(filter.read) === 'true';
+
+  const matched = records
+    .filter(r => !filter.status || r.status === filter.status)
+    .filter(r => read === null || r.read === read)
+    .filter(r => !q || [r.name, r.email, r.subject, r.message].some(v => v && String(v).toLowerCase().includes(q)))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+  const offset = Math.max(0, parseInt(filter.offset || '0', 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(filter.limit || '50', 10) || 50));
+  return { total: matched.length, items: matched.slice(offset, offset + limit) };
+}
+
+function createMemoryMessageStore() {
+  const map = new Map();
+
+  return {
+    driver: 'memory',
+    shared: false,
+    async create(fields) {
+      const record = newRecord(fields);
+      map.set(record.id, record);
+      return Object.assign({}, record);
+    },
+    async get(id) {
+      const record = map.get(id);
+      return record ? Object.assign({}, record) : null;
+    },
+    async update(id, patch) {
+      const record = map.get(id);
+      if (!record) return null;
+      Object.assign(record, patch, { id });
+      return Object.assign({}, record);
+    },
+    async list(filter) {
+      return applyFilter(Array.from(map.values()).map(r => Object.assign({}, r)), filter);
+    }
+  };
+}
+
+/**
+ * JSON-lines adapter: each line is a full snapshot of a record, the last line for an id wins.
+ * Appends are cheap; the file is compacted when superseded lines pile up.
+ */
+function createJsonlMessageStore(filePath) {
+  const file = filePath || defaultMessagesFile();
+  let queue = Promise.resolve();
+
+  const exclusive = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const readAll = async () => {
+    let raw = '';
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const byId = new Map();
+    let lines = 0;
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const record = JSON.parse(line);
+        if (record && record.id) byId.set(record.id, record);
+      } catch (e) {
+        // skip a torn/partial line
+      }
+    }
+    return { byId, lines };
+  };
+
+  const append = async (record) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+  };
+
+  const compact = async (byId) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const body = Array.from(byId.values()).map(r => JSON.stringify(r)).join('\n');
+    await fs.writeFile(tmp, body ? body + '\n' : '', 'utf8');
+    await fs.rename(tmp, file);
+  };
+
+  return {
+    driver: 'jsonl',
+    shared: false,
+    file,
+    create(fields) {
+      return exclusive(async () => {
+        const record = newRecord(fields);
+        await append(record);
+        return record;
+      });
+    },
+    get(id) {
+      return exclusive(async () => (await readAll()).byId.get(id) || null);
+    },
+    update(id, patch) {
+      return exclusive(async () => {
+        const { byId, lines } = await readAll();
+        const current = byId.get(id);
+        if (!current) return null;
+        const record = Object.assign({}, current, patch, { id });
+        byId.set(id, record);
+        if (lines + 1 > byId.size * 2 + 50) await compact(byId);
+        else await append(record);
+        return record;
+      });
+    },
+    list(filter) {
+      return exclusive(async () => applyFilter(Array.from((await readAll()).byId.values()), filter));
+    }
+  };
+}
+
+// Local default: ./data/messages.jsonl; on Vercel only /tmp is writable, and each instance
+// has its own /tmp, so the inbox there only sees what that instance stored
+function defaultMessagesFile() {
+  if (process.env.MESSAGES_FILE) return process.env.MESSAGES_FILE;
+  const base = process.env.VERCEL ? os.tmpdir() : path.join(process.cwd(), 'data');
+  return path.join(base, 'messages.jsonl');
+}
+
+/**
+ * Shared message store for this instance, chosen by MESSAGES_DRIVER (jsonl | memory).
+ * Tests can swap it with setMessageStore().
+ */
+function getMessageStore() {
+  if (global.__messageStore) return global.__messageStore;
+  const driver = String(process.env.MESSAGES_DRIVER || 'jsonl').toLowerCase();
+  global.__messageStore = driver === 'memory' ? createMemoryMessageStore() : createJsonlMessageStore();
+  return global.__messageStore;
+}
+
+function setMessageStore(store) {
+  global.__messageStore = store;
+}
+
+module.exports = {
+  STATUSES,
+  createMemoryMessageStore,
+  createJsonlMessageStore,
+  getMessageStore,
+  setMessageStore
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { reportError } = require('./error-reporter');
+
+/**
+ * Shared wrapper for the api/ handlers:
+ *   module.exports = withApi(async (req, res) => { ... }, {
+ *     route: '/api/contact',
+ *     methods: ['GET', 'POST'],              // OPTIONS is answered here, others get 405 + Allow
+ *     contentTypes: ['application/json'],    // accepted request bodies (415 otherwise)
+ *     bodyLimit: 64 * 1024                   // bytes (413 above it), or per type:
+ *                                            // { 'multipart/form-data': 4 * 1024 * 1024 } (others: default)
+ *   });
+ *
+ * - request id: taken from x-request-id (if well-formed) or x-vercel-id, else generated;
+ *   echoed in the X-Request-Id header and added to every JSON object body
+ * - req.log: logger bound to { requestId, route }
+ * - req.captureError(err, fields): log + error reporter, for errors a handler answers itself
+ * - CORS for the origins in CORS_ORIGINS (comma-separated, "*" for any)
+ * - security headers (CSP, HSTS, Referrer-Policy, X-Content-Type-Options) on every response
+ * - error envelope: any JSON body sent with status >= 400 gets { ok: false, error: <code>, message }
+ * - one JSON access log per request with method, status and latency
+ * - unexpected errors are logged, sent to the error reporter and answered with a 500
+ */
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+const DEFAULT_BODY_LIMIT = parseInt(process.env.API_BODY_LIMIT || String(64 * 1024), 10);
+const CORS_MAX_AGE = '600';
+
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'; base-uri 'none'",
+  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains',
+  'Referrer-Policy': 'no-referrer',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY'
+};
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  406: 'not_acceptable',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable'
+};
+
+const errorCode = (status) => ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+function getRequestId(req) {
+  const headers = (req && req.headers) || {};
+  for (const name of ['x-request-id', 'x-vercel-id']) {
+    const value = headers[name] ? String(headers[name]).trim() : '';
+    if (REQUEST_ID_RE.test(value)) return value;
+  }
+  return crypto.randomUUID();
+}
+
+function allowedOrigins() {
+  return String(process.env.CORS_ORIGINS || '').split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+// Sets the CORS response headers when the Origin is allow-listed; returns whether it was
+function applyCors(req, res, allow) {
+  const origin = req.headers && req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin) return false;
+  const origins = allowedOrigins();
+  if (!origins.includes('*') && !origins.includes(origin)) return false;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', allow);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Token, X-Request-Id');
+    res.setHeader('Access-Control-Max-Age', CORS_MAX_AGE);
+  }
+  return true;
+}
+
+function bodySize(req) {
+  const declared = parseInt((req.headers && req.headers['content-length']) || '', 10);
+  if (Number.isFinite(declared)) return declared;
+  if (req.body == null) return 0;
+  if (Buffer.isBuffer(req.body)) return req.body.length;
+  return Buffer.byteLength(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+}
+
+/**
+ * Error envelope: { ok: false, error: 'not_found', message: '...', ...extra }.
+ * Handlers may also answer with res.status(n).json({ message }) — withApi fills in the rest.
+ */
+function sendError(res, status, message, extra = {}) {
+  return res.status(status).json(Object.assign({ ok: false, error: errorCode(status), message }, extra));
+}
+
+function withApi(handler, { route, methods = ['GET'], contentTypes = ['application/json'], bodyLimit = DEFAULT_BODY_LIMIT } = {}) {
+  const allow = Array.from(new Set(methods.concat('OPTIONS'))).join(',');
+
+  return async (req, res) => {
+    const start = Date.now();
+    const requestId = getRequestId(req);
+    const log = logger.child({ requestId, route });
+    req.id = requestId;
+    req.log = log;
+    req.captureError = (err, { msg = 'Unexpected error', ...fields } = {}) => {
+      log.error(msg, Object.assign({ err, method: req.method }, fields));
+      return reportError(err, { requestId, route, method: req.method });
+    };
+    res.setHeader('X-Request-Id', requestId);
+    Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+
+    // JSON bodies carry the id too, so users can quote it in a support request
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!body || typeof body !== 'object' || Array.isArray(body)) return json(body);
+      const envelope = res.statusCode >= 400
+        ? Object.assign({ ok: false, error: errorCode(res.statusCode) }, body, { ok: false })
+        : body;
+      return json(Object.assign({}, envelope, { requestId }));
+    };
+
+    try {
+      applyCors(req, res, allow);
+
+      if (req.method === 'OPTIONS') {
+        res.setHeader('Allow', allow);
+        return res.status(204).end();
+      }
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', allow);
+        return sendError(res, 405, 'Method not allowed');
+      }
+
+      if (BODY_METHODS.includes(req.method)) {
+        const size = bodySize(req);
+        const type = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+        const limit = typeof bodyLimit === 'number' ? bodyLimit : (bodyLimit[type] || DEFAULT_BODY_LIMIT);
+        if (size > limit) return sendError(res, 413, `Request body larger than ${limit} bytes`);
+        if (size > 0 && !contentTypes.includes(type)) {
+          return sendError(res, 415, `Content-Type must be ${contentTypes.join(' or ')}`);
+        }
+      }
+
+      await handler(req, res);
+    } catch (err) {
+      // client errors raised by the platform body parser (e.g. invalid JSON)
+      if (err && err.statusCode >= 400 && err.statusCode < 500) {
+        if (!res.headersSent) sendError(res, err.statusCode, err.message || 'Bad request');
+        return;
+      }
+      await req.captureError(err, { msg: 'Unhandled error' });
+      if (!res.headersSent) sendError(res, 500, 'Internal error');
+    } finally {
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : (status >= 400 ? 'warn' : 'info');
+      log[level]('request', { method: req.method, status, latencyMs: Date.now() - start });
+    }
+  };
+}
+
+module.exports = {
+  SECURITY_HEADERS,
+  getRequestId,
+  sendError,
+  withApi
+};
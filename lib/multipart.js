@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Minimal multipart/form-data parser for small uploads (the whole body is buffered).
+ *
+ *   const { fields, files } = parseMultipart(buffer, req.headers['content-type'], { maxFiles: 3 });
+ *   fields: { name: value }   files: [{ field, filename, contentType, data: Buffer }]
+ *
+ * Errors carry a statusCode (400 malformed, 413 over a limit) and a `limit` name.
+ */
+
+const DEFAULT_LIMITS = {
+  maxFields: 20,
+  maxFieldBytes: 16 * 1024,
+  maxFiles: 3,
+  maxFileBytes: 4 * 1024 * 1024
+};
+
+function multipartError(message, statusCode = 400, limit = null) {
+  return Object.assign(new Error(message), { statusCode, limit });
+}
+
+function getBoundary(contentType) {
+  const type = String(contentType || '');
+  if (!/^multipart\/form-data\s*;/i.test(type)) return null;
+  const match = /boundary=(?:"([^"]{1,70})"|([^;\s]{1,70}))/i.exec(type);
+  return match ? (match[1] || match[2]) : null;
+}
+
+function isMultipart(contentType) {
+  return /^multipart\/form-data\b/i.test(String(contentType || ''));
+}
+
+// "form-data; name="x"; filename="a.pdf"" -> { name, filename } (filename* preferred when present)
+function parseDisposition(value) {
+  const out = {};
+  const re = /;\s*([\w*]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = re.exec(value))) {
+    const key = match[1].toLowerCase();
+    const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    if (key === 'filename*') {
+      const ext = /^([\w-]+)'[^']*'(.*)$/.exec(raw);
+      try {
+        out.filename = ext ? decodeURIComponent(ext[2]) : raw;
+      } catch (e) {
+        out.filename = raw;
+      }
+    } else if (key === 'filename' && out.filename === undefined) {
+      out.filename = raw;
+    } else if (key === 'name') {
+      out.name = raw;
+    }
+  }
+  return out;
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  block.split('\r\n').forEach((line) => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return headers;
+}
+
+function parseMultipart(body, contentType, options = {}) {
+  const limits = Object.assign({}, DEFAULT_LIMITS, options);
+  const boundary = getBoundary(contentType);
+  if (!boundary) throw multipartError('Missing multipart boundary');
+  if (!Buffer.isBuffer(body)) throw multipartError('Missing multipart body');
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+  let fieldCount = 0;
+
+  let pos = body.indexOf(delimiter);
+  if (pos === -1) throw multipartError('Malformed multipart body');
+
+  for (;;) {
+    pos += delimiter.length;
+    // closing delimiter "--boundary--"
+    if (body[pos] === 0x2d && body[pos + 1] === 0x2d) break;
+    if (body[pos] !== 0x0d || body[pos + 1] !== 0x0a) throw multipartError('Malformed multipart body');
+    pos += 2;
+
+    const headerEnd = body.indexOf('\r\n\r\n', pos);
+    if (headerEnd === -1 || headerEnd - pos > 8 * 1024) throw multipartError('Malformed multipart headers');
+    const headers = parseHeaders(body.toString('utf8', pos, headerEnd));
+    const start = headerEnd + 4;
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), start);
+    if (next === -1) throw multipartError('Unterminated multipart body');
+    const data = body.subarray(start, next);
+    pos = next + 2;
+
+    const { name, filename } = parseDisposition(headers['content-disposition'] || '');
+    if (!name) throw multipartError('Multipart part without a name');
+
+    if (filename !== undefined) {
+      // an empty file input still sends a part with filename=""
+      if (!filename && !data.length) continue;
+      if (files.length >= limits.maxFiles) throw multipartError('Too many files', 413, 'maxFiles');
+      if (data.length > limits.maxFileBytes) throw multipartError('File too large', 413, 'maxFileBytes');
+      files.push({ field: name, filename, contentType: (headers['content-type'] || '').toLowerCase(), data });
+    } else {
+      fieldCount += 1;
+      if (fieldCount > limits.maxFields) throw multipartError('Too many fields', 413, 'maxFields');
+      if (data.length > limits.maxFieldBytes) throw multipartError('Field too large', 413, 'maxFieldBytes');
+      fields[name] = data.toString('utf8');
+    }
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Raw request body as a Buffer: req.body when the platform already buffered it,
+ * otherwise read from the stream (413 past maxBytes).
+ */
+function readRawBody(req, maxBytes) {
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > maxBytes) return Promise.reject(multipartError('Body too large', 413, 'bodyLimit'));
+    return Promise.resolve(req.body);
+  }
+  if (req.readableEnded || typeof req.on !== 'function') return Promise.resolve(Buffer.alloc(0));
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(multipartError('Body too large', 413, 'bodyLimit'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  isMultipart,
+  getBoundary,
+  parseMultipart,
+  readRawBody
+};
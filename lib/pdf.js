@@ -0,0 +1,209 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF writer for text documents (the CV), no dependencies.
+ *
+ *   const doc = createPdf({ title, author, lang });
+ *   doc.text('Estandar Mustaq', { size: 20, bold: true });
+ *   doc.text(longParagraph, { size: 10, color: MUTED, indent: 12 });
+ *   doc.rule();
+ *   const buffer = doc.end();
+ *
+ * Text flows top to bottom on A4 pages with word wrapping and page breaks. It uses
+ * the standard Helvetica fonts (nothing embedded) in WinAnsiEncoding, so Latin-1
+ * text (Portuguese included) prints as-is and other characters become "?".
+ */
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths (1/1000 em) of ASCII 32..126, from the Adobe Helvetica AFMs
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsi bytes outside Latin-1, with their widths
+const WIN_ANSI = {
+  '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000], 'Œ': [0x8c, 1000],
+  '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350],
+  '–': [0x96, 556], '—': [0x97, 1000], '™': [0x99, 1000], 'œ': [0x9c, 944]
+};
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// One character -> [WinAnsi byte, width in 1/1000 em]
+function encodeChar(ch, font) {
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return [code, WIDTHS[font][code - 32]];
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+  // accented Latin-1 letters take the width of their base letter
+  const base = ch.normalize('NFD').charCodeAt(0);
+  const width = base >= 32 && base <= 126 ? WIDTHS[font][base - 32] : 556;
+  if (code >= 0xa0 && code <= 0xff) return [code, width];
+  if (code === 0x09) return [32, WIDTHS[font][0]];
+  return [63, WIDTHS[font][63 - 32]];
+}
+
+// PDF string literal (WinAnsi bytes as a binary string)
+function pdfString(text, font = 'regular') {
+  let out = '';
+  for (const ch of String(text)) {
+    const [byte] = encodeChar(ch, font);
+    const c = String.fromCharCode(byte);
+    out += c === '\\' || c === '(' || c === ')' ? `\\${c}` : c;
+  }
+  return `(${out})`;
+}
+
+function textWidth(text, font, size) {
+  let units = 0;
+  for (const ch of String(text)) units += encodeChar(ch, font)[1];
+  return units * size / 1000;
+}
+
+// Greedy word wrap; words longer than the line are kept whole
+function wrap(text, font, size, maxWidth) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, font, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+const num = (n) => String(Math.round(n * 100) / 100);
+const rgb = ([r, g, b]) => `${num(r / 255)} ${num(g / 255)} ${num(b / 255)}`;
+
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+function createPdf({ title = '', author = '', lang = 'pt', margin = 50, now = new Date() } = {}) {
+  const pages = [];
+  const contentWidth = A4.width - margin * 2;
+  let ops = null;
+  let y = 0;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = A4.height - margin;
+  };
+  const ensure = (height) => {
+    if (!ops || y - height < margin) addPage();
+  };
+
+  const doc = {
+    /**
+     * Wrapped paragraph. Options: size (pt), bold, color [r, g, b], indent (pt),
+     * gap (pt after the paragraph), lineHeight (× size).
+     */
+    text(text, { size = 10, bold = false, color = [17, 24, 39], indent = 0, gap = 4, lineHeight = 1.35 } = {}) {
+      const font = bold ? 'bold' : 'regular';
+      const leading = size * lineHeight;
+      wrap(text, font, size, contentWidth - indent).forEach((line) => {
+        ensure(leading);
+        y -= leading;
+        if (line) ops.push(`BT /${FONTS[font]} ${num(size)} Tf ${rgb(color)} rg ${num(margin + indent)} ${num(y + (leading - size) / 2)} Td ${pdfString(line, font)} Tj ET`);
+      });
+      y -= gap;
+      return doc;
+    },
+
+    // Horizontal line across the content width
+    rule({ color = [209, 213, 219], width = 0.75, gap = 8 } = {}) {
+      ensure(gap * 2);
+      y -= gap;
+      ops.push(`${rgb(color)} RG ${num(width)} w ${num(margin)} ${num(y)} m ${num(A4.width - margin)} ${num(y)} l S`);
+      y -= gap;
+      return doc;
+    },
+
+    space(height = 8) {
+      ensure(0);
+      y -= height;
+      return doc;
+    },
+
+    // The finished document as a Buffer
+    end() {
+      if (!pages.length) addPage();
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (portfolio) /CreationDate (${pdfDate(now)}) >>`);
+
+      const kids = pages.map((pageOps) => {
+        const stream = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        const content = add(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+          stream,
+          Buffer.from('\nendstream', 'latin1')
+        ]));
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R /Lang ${pdfString(lang)} >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        chunks.push(chunk);
+        const at = offset;
+        offset += chunk.length;
+        return at;
+      });
+
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`]
+        .concat(offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`))
+        .join('');
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+  return doc;
+}
+
+module.exports = {
+  createPdf,
+  textWidth,
+  wrap
+};
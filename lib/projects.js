@@ -0,0 +1,56 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Portfolio project catalogue (public/data/projects.json).
+ * The browser fetches the same file, so keep it a plain static asset.
+ */
+
+function catalogueFile() {
+  return process.env.PROJECTS_FILE || path.join(process.cwd(), 'public', 'data', 'projects.json');
+}
+
+const isHttpUrl = (v) => typeof v === 'string' && /^https?:\/\//i.test(v);
+
+// Text fields may be a plain string or localised: { "pt": "...", "en": "..." }
+function localizedText(v, fallback = '') {
+  if (typeof v === 'string') return v;
+  if (!v || typeof v !== 'object') return fallback;
+  const entries = Object.entries(v).filter(([, text]) => typeof text === 'string');
+  return entries.length ? Object.fromEntries(entries) : fallback;
+}
+
+// Keep only well-formed entries with the fields the front end relies on
+function normalizeProject(p) {
+  if (!p || typeof p.id !== 'string' || !p.id || typeof p.title !== 'string') return null;
+  return {
+    id: p.id,
+    title: p.title,
+    description: localizedText(p.description),
+    tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === 'string') : [],
+    category: typeof p.category === 'string' ? p.category : null,
+    date: typeof p.date === 'string' ? p.date : null,
+    featured: Boolean(p.featured),
+    images: Array.isArray(p.images) ? p.images.filter(i => i && typeof i.src === 'string').map(i => ({ src: i.src, alt: localizedText(i.alt, p.title) })) : [],
+    demoUrl: isHttpUrl(p.demoUrl) ? p.demoUrl : null,
+    repoUrl: isHttpUrl(p.repoUrl) ? p.repoUrl : null
+  };
+}
+
+/**
+ * Read and normalise the catalogue. Returns { projects }.
+ */
+async function readProjects() {
+  const raw = await fs.readFile(catalogueFile(), 'utf8');
+  const data = JSON.parse(raw);
+  const list = Array.isArray(data) ? data : (data.projects || []);
+  return { projects: list.map(normalizeProject).filter(Boolean) };
+}
+
+module.exports = {
+  catalogueFile,
+  normalizeProject,
+  readProjects
+};
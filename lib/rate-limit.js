@@ -0,0 +1,73 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Client IP from proxy headers (first hop of x-forwarded-for, then x-real-ip).
+ */
+function getClientIp(req) {
+  const headers = (req && req.headers) || {};
+  const fwd = headers['x-forwarded-for'];
+  if (fwd) {
+    const first = String(Array.isArray(fwd) ? fwd[0] : fwd).split(',')[0].trim();
+    if (first) return first;
+  }
+  if (headers['x-real-ip']) return String(headers['x-real-ip']).trim();
+  return (req && req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Sliding-window limiter backed by a store (see lib/store.js).
+ * Keeps the timestamps of recent hits under `key`; only allowed hits are recorded.
+ * The check and the write go through store.update(), so concurrent hits can't both
+ * take the last free place. Returns { allowed, remaining, retryAfterMs }.
+ */
+async function hitSlidingWindow(store, key, limit, windowMs, now = Date.now()) {
+  let result;
+  await store.update(key, (current) => {
+    const hits = (current || []).filter(ts => ts > now - windowMs);
+    if (hits.length >= limit) {
+      result = { allowed: false, remaining: 0, retryAfterMs: hits[0] + windowMs - now };
+      return undefined;
+    }
+    hits.push(now);
+    result = { allowed: true, remaining: limit - hits.length, retryAfterMs: 0 };
+    return hits;
+  }, windowMs);
+  return result;
+}
+
+// Stable fingerprint of a message (case/whitespace-insensitive)
+function fingerprint(...parts) {
+  const norm = parts.map(p => String(p || '').toLowerCase().replace(/\s+/g, ' ').trim()).join('\n');
+  return crypto.createHash('sha256').update(norm).digest('hex');
+}
+
+/**
+ * Duplicate detection: has this fingerprint been seen within its TTL?
+ * Returns the remaining ms until it may be sent again, or 0.
+ */
+async function checkDuplicate(store, hash) {
+  const seenAt = await store.get(`dup:${hash}`);
+  if (!seenAt) return 0;
+  return Math.max(seenAt.expiresAt - Date.now(), 1000);
+}
+
+async function rememberMessage(store, hash, ttlMs) {
+  await store.set(`dup:${hash}`, { expiresAt: Date.now() + ttlMs }, ttlMs);
+}
+
+// Set Retry-After (seconds) and answer 429
+function sendTooMany(res, retryAfterMs, body) {
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json(body);
+}
+
+module.exports = {
+  getClientIp,
+  hitSlidingWindow,
+  fingerprint,
+  checkDuplicate,
+  rememberMessage,
+  sendTooMany
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs').promises;
+const Resume = require('../public/js/resume');
+const { translate } = require('./i18n');
+const { createPdf } = require('./pdf');
+const { renderTemplate } = require('./templates');
+
+/**
+ * Résumé (public/data/resume.json, JSON Resume with { pt, en } texts) for /api/cv:
+ * the localised JSON, the printable page (templates/cv.<locale>.html) and the PDF
+ * (a hand-made one from public/cv when there is one, else generated).
+ * The browser reads the same file for the page's JSON-LD and the CV link.
+ */
+
+function resumeFile() {
+  return process.env.RESUME_FILE || path.join(process.cwd(), 'public', 'data', 'resume.json');
+}
+
+/**
+ * Read the résumé in `locale`: a plain JSON Resume document (meta.language set).
+ */
+async function readResume(locale) {
+  const data = JSON.parse(await fs.readFile(resumeFile(), 'utf8'));
+  const resume = Resume.localize(data, locale);
+  resume.meta = Object.assign({}, resume.meta, { language: locale });
+  return resume;
+}
+
+/**
+ * Hand-made PDF for `locale` from public/cv (CV_PDF_DIR): cv-estandarmustaq.<locale>.pdf, or
+ * cv-estandarmustaq.pdf for the default language. Resolves a Buffer, or null to generate one.
+ */
+async function readDesignedPdf(locale) {
+  const dir = process.env.CV_PDF_DIR || path.join(process.cwd(), 'public', 'cv');
+  const names = [`cv-estandarmustaq.${locale}.pdf`].concat(locale === Resume.DEFAULT_LOCALE ? ['cv-estandarmustaq.pdf'] : []);
+  for (const name of names) {
+    try {
+      return await fs.readFile(path.join(dir, name));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+  return null;
+}
+
+const intlLocale = (locale) => (locale === 'en' ? 'en-GB' : 'pt-PT');
+
+// "2025-03" -> "março de 2025"; JSON Resume dates are YYYY, YYYY-MM or YYYY-MM-DD
+function formatDate(value, locale) {
+  const m = /^(\d{4})(?:-(\d{2}))?/.exec(String(value || ''));
+  if (!m) return '';
+  if (!m[2]) return m[1];
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1));
+  return new Intl.DateTimeFormat(intlLocale(locale), { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(date);
+}
+
+// "março de 2025 – atual"; an entry without dates has no period
+function formatPeriod({ startDate, endDate } = {}, locale, { ongoing = false } = {}) {
+  const start = formatDate(startDate, locale);
+  const end = endDate ? formatDate(endDate, locale) : (ongoing && start ? translate(locale, 'cv.present') : '');
+  return [start, end].filter(Boolean).join(' – ');
+}
+
+function regionName(code, locale) {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames([intlLocale(locale)], { type: 'region' }).of(String(code).toUpperCase());
+  } catch (e) {
+    return code;
+  }
+}
+
+/**
+ * Template/PDF view of a localised résumé: periods formatted, lists joined.
+ */
+function resumeView(resume, locale) {
+  const basics = resume.basics || {};
+  const location = basics.location || {};
+  const list = (items) => (Array.isArray(items) ? items.filter(Boolean) : []);
+  const other = locale === 'en' ? 'pt' : 'en';
+
+  return {
+    lang: locale,
+    basics,
+    location: [location.city, location.region, regionName(location.countryCode, locale)].filter(Boolean).join(', '),
+    profiles: list(basics.profiles),
+    work: list(resume.work).map(w => Object.assign({}, w, {
+      period: formatPeriod(w, locale, { ongoing: true }),
+      highlights: list(w.highlights),
+      hasHighlights: list(w.highlights).length > 0
+    })),
+    education: list(resume.education).map(e => Object.assign({}, e, {
+      period: formatPeriod(e, locale),
+      title: [e.studyType, e.area].filter(Boolean).join(' — ')
+    })),
+    projects: list(resume.projects).map(p => Object.assign({}, p, { period: formatPeriod(p, locale), keywordList: list(p.keywords).join(' · ') })),
+    skills: list(resume.skills).map(s => Object.assign({}, s, { keywordList: list(s.keywords).join(' · ') })),
+    languages: list(resume.languages),
+    // list sections render once per item, so their headings hang off these flags
+    has: ['work', 'education', 'projects', 'skills', 'languages'].reduce((has, key) => Object.assign(has, { [key]: list(resume[key]).length > 0 }), {}),
+    urls: {
+      pdf: Resume.cvUrl('pdf', locale),
+      json: Resume.cvUrl('json', locale),
+      other: Resume.cvUrl('html', other)
+    },
+    otherLang: other.toUpperCase(),
+    jsonLd: JSON.stringify(Resume.toJsonLd(resume, locale)).replace(/</g, '\\u003c')
+  };
+}
+
+function renderResumeHtml(resume, locale) {
+  return renderTemplate('cv', locale, resumeView(resume, locale)).html;
+}
+
+const INK = [17, 24, 39];
+const MUTED = [75, 85, 99];
+const ACCENT = [91, 33, 182];
+
+function renderResumePdf(resume, locale) {
+  const view = resumeView(resume, locale);
+  const { basics } = view;
+  const label = key => translate(locale, `cv.${key}`);
+  const doc = createPdf({ title: `${basics.name} — ${label('title')}`, author: basics.name, lang: locale });
+
+  doc.text(basics.name, { size: 22, bold: true, gap: 2 });
+  if (basics.label) doc.text(basics.label, { size: 12, color: ACCENT, gap: 6 });
+  const contact = [basics.email, basics.phone, basics.url, view.location].filter(Boolean).join('  ·  ');
+  if (contact) doc.text(contact, { size: 9, color: MUTED, gap: 2 });
+  if (view.profiles.length) doc.text(view.profiles.map(p => p.url || `${p.network}: ${p.username}`).join('  ·  '), { size: 9, color: MUTED });
+
+  const section = (key) => {
+    doc.rule();
+    doc.text(label(key).toUpperCase(), { size: 10, bold: true, color: ACCENT, gap: 6 });
+  };
+  const entry = (title, period) => doc.text([title, period].filter(Boolean).join('  —  '), { size: 11, bold: true, color: INK, gap: 2 });
+
+  if (basics.summary) {
+    section('summary');
+    doc.text(basics.summary, { size: 10 });
+  }
+  if (view.work.length) {
+    section('work');
+    view.work.forEach((w) => {
+      entry([w.position, w.name].filter(Boolean).join(' · '), w.period);
+      if (w.summary) doc.text(w.summary, { size: 10, color: MUTED });
+      w.highlights.forEach(h => doc.text(`•  ${h}`, { size: 10, indent: 10, gap: 1 }));
+      doc.space(6);
+    });
+  }
+  if (view.education.length) {
+    section('education');
+    view.education.forEach((e) => {
+      entry(e.institution, e.period);
+      if (e.title) doc.text(e.title, { size: 10, color: MUTED, gap: 6 });
+    });
+  }
+  if (view.projects.length) {
+    section('projects');
+    view.projects.forEach((p) => {
+      entry(p.name, p.period);
+      if (p.description) doc.text(p.description, { size: 10, gap: 1 });
+      const meta = [p.keywordList, p.url].filter(Boolean).join('  ·  ');
+      if (meta) doc.text(meta, { size: 9, color: MUTED, gap: 6 });
+    });
+  }
+  if (view.skills.length) {
+    section('skills');
+    view.skills.forEach(s => doc.text(`${s.name}: ${s.keywordList}`, { size: 10, gap: 2 }));
+  }
+  if (view.languages.length) {
+    section('languages');
+    doc.text(view.languages.map(l => [l.language, l.fluency].filter(Boolean).join(' — ')).join('  ·  '), { size: 10 });
+  }
+  return doc.end();
+}
+
+module.exports = {
+  resumeFile,
+  readResume,
+  readDesignedPdf,
+  formatPeriod,
+  resumeView,
+  renderResumeHtml,
+  renderResumePdf
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const fs = require('fs');
+const { logger } = require('./logger');
+const DEFAULT_RULES = require('./spam-rules.json');
+
+/**
+ * Local, rule-based spam scoring for contact submissions (no external service).
+ *
+ *   const { score, verdict, reasons } = scoreSubmission({ name, email, subject, message });
+ *   verdict: 'ok' | 'flag' (delivered, subject tagged [SPAM?]) | 'reject'
+ *
+ * Weights and thresholds live in a JSON ruleset (lib/spam-rules.json, or the file in
+ * SPAM_RULES_FILE, whose rules replace the default ones by name). A rule with weight 0
+ * is off. Each hit adds { rule, score, detail } to `reasons` so the rules can be tuned
+ * from the logs.
+ */
+
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi;
+
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const round = (n) => Math.round(n * 100) / 100;
+
+function domainOf(email) {
+  return String(email || '').split('@')[1] || '';
+}
+
+function hostOf(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// --- rules: (submission, rule) -> { score, detail } | null ---
+
+const RULES = {
+  links({ links }, rule) {
+    const extra = links.length - (rule.free || 0);
+    if (extra <= 0) return null;
+    return { score: Math.min(rule.max || Infinity, rule.weight * extra), detail: `${links.length} links` };
+  },
+
+  blocklistedDomain({ links, email }, rule) {
+    const hosts = links.map(hostOf).concat(domainOf(email));
+    const hits = (rule.domains || []).filter(d => hosts.some(h => matchesDomain(h, d.toLowerCase())));
+    return hits.length ? { score: rule.weight, detail: hits.join(', ') } : null;
+  },
+
+  keywords({ text }, rule) {
+    const hits = rule.patterns.filter(([, re]) => re.test(text)).map(([term]) => term);
+    if (!hits.length) return null;
+    return { score: Math.min(rule.max || Infinity, rule.weight * hits.length), detail: hits.join(', ') };
+  },
+
+  disposableEmail({ email }, rule) {
+    const domain = domainOf(email);
+    const hit = (rule.domains || []).find(d => matchesDomain(domain, d.toLowerCase()));
+    return hit ? { score: rule.weight, detail: hit } : null;
+  },
+
+  caps({ message }, rule) {
+    const letters = message.match(/\p{L}/gu) || [];
+    if (letters.length < (rule.minLetters || 0)) return null;
+    const upper = letters.filter(ch => /\p{Lu}/u.test(ch)).length;
+    const ratio = upper / letters.length;
+    return ratio >= rule.ratio ? { score: rule.weight, detail: `${Math.round(ratio * 100)}% capitals` } : null;
+  },
+
+  repeatedText({ message }, rule) {
+    const min = rule.minRepeats || 3;
+    const minLength = rule.minLength || 3;
+    // the same word back to back ("buy buy buy"), the same line again and again, or "!!!!!!!!!!"
+    const words = message.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    let run = 1;
+    for (let i = 1; i < words.length; i++) {
+      run = words[i] === words[i - 1] ? run + 1 : 1;
+      if (run >= min && words[i].length >= minLength) return { score: rule.weight, detail: `"${words[i]}" x${run}` };
+    }
+    const counts = {};
+    for (const line of message.split(/\r?\n/).map(l => l.trim().toLowerCase()).filter(l => l.length >= minLength)) {
+      counts[line] = (counts[line] || 0) + 1;
+      if (counts[line] >= min) return { score: rule.weight, detail: `line repeated x${counts[line]}` };
+    }
+    const chars = /(.)\1{9,}/u.exec(message);
+    return chars ? { score: rule.weight, detail: `"${chars[1]}" x${chars[0].length}` } : null;
+  },
+
+  nameEmailMismatch({ name, email }, rule) {
+    if (/(?:https?:\/\/|www\.|@|\d)/i.test(name)) return { score: rule.weight, detail: 'name with digits, link or email' };
+    const local = String(email || '').split('@')[0].toLowerCase();
+    const digits = (local.match(/\d/g) || []).length;
+    if (digits <= (rule.maxEmailDigits || 0)) return null;
+    // a digit-heavy address is fine when it still carries part of the name
+    const tokens = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z]+/).filter(t => t.length >= 3);
+    return tokens.some(t => local.includes(t)) ? null : { score: rule.weight, detail: `${digits} digits in address, no name part` };
+  },
+
+  scripts({ message }, rule) {
+    const letters = message.match(/\p{L}/gu) || [];
+    if (!letters.length) return null;
+    const foreign = letters.filter(ch => !rule.allowedRe.test(ch)).length;
+    const ratio = foreign / letters.length;
+    return ratio >= rule.ratio ? { score: rule.weight, detail: `${Math.round(ratio * 100)}% outside ${rule.allowed.join('/')}` } : null;
+  }
+};
+
+// Regexes a rule needs, built once per ruleset; these throw on a bad entry (e.g. an unknown script)
+const COMPILERS = {
+  keywords: rule => ({
+    patterns: (rule.terms || []).map(term => [term, new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRe(term)}($|[^\\p{L}\\p{N}])`, 'iu')])
+  }),
+  scripts: (rule) => {
+    const allowed = rule.allowed || ['Latin', 'Common', 'Inherited'];
+    return { allowed, allowedRe: new RegExp(`[${allowed.map(s => `\\p{Script=${s}}`).join('')}]`, 'u') };
+  }
+};
+
+const compiledRulesets = new WeakMap();
+
+// Active rules of a ruleset, with their regexes compiled (cached per ruleset object)
+function compileRuleset(ruleset) {
+  if (compiledRulesets.has(ruleset)) return compiledRulesets.get(ruleset);
+  const rules = {};
+  Object.entries(ruleset.rules || {}).forEach(([id, rule]) => {
+    if (!RULES[id] || !rule || !rule.weight) return;
+    rules[id] = COMPILERS[id] ? Object.assign({}, rule, COMPILERS[id](rule)) : rule;
+  });
+  compiledRulesets.set(ruleset, rules);
+  return rules;
+}
+
+/**
+ * Ruleset: the bundled defaults, with the rules/thresholds of SPAM_RULES_FILE on top.
+ * A file that can't be read, parsed or compiled is ignored with a warning.
+ */
+function loadRuleset(file = process.env.SPAM_RULES_FILE) {
+  if (!file) return DEFAULT_RULES;
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const ruleset = {
+      thresholds: Object.assign({}, DEFAULT_RULES.thresholds, custom.thresholds),
+      rules: Object.assign({}, DEFAULT_RULES.rules, custom.rules)
+    };
+    compileRuleset(ruleset);
+    return ruleset;
+  } catch (err) {
+    logger.warn('Invalid spam ruleset, using the defaults', { module: 'spam', file, error: err.message });
+    return DEFAULT_RULES;
+  }
+}
+
+function getSpamRules() {
+  if (!global.__spamRules) global.__spamRules = loadRuleset();
+  return global.__spamRules;
+}
+
+function setSpamRules(ruleset) {
+  global.__spamRules = ruleset;
+}
+
+function scoreSubmission({ name = '', email = '', subject = '', message = '' } = {}, ruleset = getSpamRules()) {
+  const text = [name, subject, message].filter(Boolean).join('\n');
+  const input = {
+    name: String(name),
+    email: String(email).toLowerCase(),
+    message: String(message),
+    text,
+    links: text.match(URL_RE) || []
+  };
+
+  const reasons = [];
+  Object.entries(compileRuleset(ruleset)).forEach(([id, rule]) => {
+    const hit = RULES[id](input, rule);
+    if (hit && hit.score > 0) reasons.push({ rule: id, score: round(hit.score), detail: hit.detail });
+  });
+
+  const score = round(reasons.reduce((sum, r) => sum + r.score, 0));
+  const { flag = Infinity, reject = Infinity } = ruleset.thresholds || {};
+  const verdict = score >= reject ? 'reject' : (score >= flag ? 'flag' : 'ok');
+  return { score, verdict, reasons };
+}
+
+module.exports = {
+  loadRuleset,
+  getSpamRules,
+  setSpamRules,
+  scoreSubmission
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Minimal key/value store with per-key TTL.
+ * Every adapter exposes the same async interface: get(key), set(key, value, ttlMs), del(key),
+ * add(key, value, ttlMs) which only stores when the key is free (resolves true if it did), and
+ * update(key, fn, ttlMs) which stores fn(current) as one step (fn is synchronous; returning
+ * undefined leaves the key untouched).
+ * `shared` tells whether every function instance sees the same data: only the KV adapter does.
+ */
+
+const KV_TIMEOUT_MS = parseInt(process.env.KV_TIMEOUT_MS || '3000', 10);
+// update() gives up after this many lost compare-and-swap rounds on one key
+const KV_UPDATE_RETRIES = 10;
+
+// Sets KEYS[1] to ARGV[2] only while it still holds ARGV[1] ('' = missing); ARGV[3] is the TTL in ms
+const KV_CAS_SCRIPT = [
+  "local current = redis.call('GET', KEYS[1])",
+  "if (current or '') ~= ARGV[1] then return 0 end",
+  "if ARGV[3] == '0' then redis.call('SET', KEYS[1], ARGV[2]) else redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) end",
+  'return 1'
+].join('\n');
+
+function isExpired(entry, now = Date.now()) {
+  return !entry || (entry.expiresAt && entry.expiresAt <= now);
+}
+
+// In-memory adapter (default). Lives as long as the lambda instance.
+function createMemoryStore() {
+  const map = new Map();
+
+  return {
+    driver: 'memory',
+    shared: false,
+    async get(key) {
+      const entry = map.get(key);
+      if (isExpired(entry)) {
+        map.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      map.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async add(key, value, ttlMs) {
+      if (!isExpired(map.get(key))) return false;
+      map.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return true;
+    },
+    async update(key, fn, ttlMs) {
+      const entry = map.get(key);
+      const value = fn(isExpired(entry) ? null : entry.value);
+      if (value !== undefined) map.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async del(key) {
+      map.delete(key);
+    }
+  };
+}
+
+// JSON file adapter. Survives restarts locally; on Vercel only /tmp is writable.
+function createFileStore(filePath) {
+  const file = filePath || path.join(os.tmpdir(), 'portfolio-store.json');
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8')) || {};
+    } catch (e) {
+      return {};
+    }
+  };
+
+  const write = async (data) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data), 'utf8');
+  };
+
+  // serialize read-modify-write cycles within this instance
+  const exclusive = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const prune = (data) => {
+    const now = Date.now();
+    for (const k of Object.keys(data)) if (isExpired(data[k], now)) delete data[k];
+    return data;
+  };
+
+  return {
+    driver: 'file',
+    shared: false,
+    file,
+    get(key) {
+      return exclusive(async () => {
+        const entry = (await read())[key];
+        return isExpired(entry) ? null : entry.value;
+      });
+    },
+    set(key, value, ttlMs) {
+      return exclusive(async () => {
+        const data = prune(await read());
+        data[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        await write(data);
+      });
+    },
+    add(key, value, ttlMs) {
+      return exclusive(async () => {
+        const data = prune(await read());
+        if (data[key]) return false;
+        data[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        await write(data);
+        return true;
+      });
+    },
+    update(key, fn, ttlMs) {
+      return exclusive(async () => {
+        const data = prune(await read());
+        const value = fn(data[key] ? data[key].value : null);
+        if (value === undefined) return;
+        data[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        await write(data);
+      });
+    },
+    del(key) {
+      return exclusive(async () => {
+        const data = prune(await read());
+        delete data[key];
+        await write(data);
+      });
+    }
+  };
+}
+
+/**
+ * Redis over HTTP (Upstash / Vercel KV REST API): one JSON command array per POST.
+ * Values are stored as JSON strings. The only adapter shared between instances.
+ */
+function createKvStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN, timeoutMs = KV_TIMEOUT_MS } = {}) {
+  if (!url || !token) throw new Error('STORE_DRIVER=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+  const endpoint = url.replace(/\/$/, '');
+
+  const command = async (...args) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args.map(String)),
+        signal: controller.signal
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || `HTTP ${res.status}`}`);
+      return data.result;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const parse = raw => (raw == null ? null : JSON.parse(raw));
+  const px = ttlMs => (ttlMs ? ['PX', Math.ceil(ttlMs)] : []);
+
+  return {
+    driver: 'kv',
+    shared: true,
+    async get(key) {
+      return parse(await command('GET', key));
+    },
+    async set(key, value, ttlMs) {
+      await command('SET', key, JSON.stringify(value), ...px(ttlMs));
+    },
+    async add(key, value, ttlMs) {
+      return (await command('SET', key, JSON.stringify(value), 'NX', ...px(ttlMs))) === 'OK';
+    },
+    // optimistic: read, compute, write only if nobody changed the key meanwhile, else retry
+    async update(key, fn, ttlMs) {
+      for (let attempt = 0; attempt < KV_UPDATE_RETRIES; attempt++) {
+        const raw = await command('GET', key);
+        const value = fn(parse(raw));
+        if (value === undefined) return;
+        const swapped = await command('EVAL', KV_CAS_SCRIPT, 1, key, raw == null ? '' : raw, JSON.stringify(value), ttlMs ? Math.ceil(ttlMs) : 0);
+        if (Number(swapped) === 1) return;
+      }
+      throw new Error(`KV update of ${key} kept conflicting`);
+    },
+    async del(key) {
+      await command('DEL', key);
+    }
+  };
+}
+
+/**
+ * Shared store for the current instance, chosen by STORE_DRIVER (memory | file | kv).
+ * Tests can swap it with setStore().
+ */
+function getStore() {
+  if (global.__store) return global.__store;
+  const driver = String(process.env.STORE_DRIVER || 'memory').toLowerCase();
+  if (driver === 'kv') global.__store = createKvStore();
+  else global.__store = driver === 'file' ? createFileStore(process.env.STORE_FILE) : createMemoryStore();
+  return global.__store;
+}
+
+function setStore(store) {
+  global.__store = store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Tokens older than this are refused (the visitor should reload the page)
+const MAX_TOKEN_AGE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * HMAC secret for submit tokens. Prefer CONTACT_TOKEN_SECRET; otherwise derive one from the
+ * SMTP password so every instance agrees, and only fall back to a per-instance random key.
+ */
+function getSecret() {
+  if (process.env.CONTACT_TOKEN_SECRET) return process.env.CONTACT_TOKEN_SECRET;
+  if (process.env.SMTP_PASS) return crypto.createHash('sha256').update(`contact-token:${process.env.SMTP_PASS}`).digest('hex');
+  if (!global.__tokenSecret) global.__tokenSecret = crypto.randomBytes(32).toString('hex');
+  return global.__tokenSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+// Issue a token carrying the time the form was loaded: "<issuedAt>.<hmac>"
+function createSubmitToken(now = Date.now()) {
+  const issuedAt = String(now);
+  return `${issuedAt}.${sign(issuedAt)}`;
+}
+
+/**
+ * Verify a submit token and the minimum time-to-submit.
+ * Returns { ok: true } or { ok: false, reason, retryAfterMs? }.
+ */
+function verifySubmitToken(token, minAgeMs, now = Date.now()) {
+  if (!token || typeof token !== 'string') return { ok: false, reason: 'missing' };
+
+  const [issuedAt, mac] = token.split('.');
+  if (!issuedAt || !mac || !/^\d+$/.test(issuedAt)) return { ok: false, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(issuedAt));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: 'bad-signature' };
+  }
+
+  const age = now - Number(issuedAt);
+  if (age < 0 || age > MAX_TOKEN_AGE_MS) return { ok: false, reason: 'expired' };
+  if (age < minAgeMs) return { ok: false, reason: 'too-fast', retryAfterMs: minAgeMs - age };
+
+  return { ok: true };
+}
+
+module.exports = {
+  createSubmitToken,
+  verifySubmitToken
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Tiny file-based template engine for transactional emails (and the CV page).
+ *
+ * Templates live in templates/<id>.<locale>.html and templates/<id>.<locale>.txt.
+ * The .txt file may start with a "Subject: ..." line followed by a blank line.
+ *
+ * Syntax:
+ *   {{name}}              value (HTML-escaped in .html templates)
+ *   {{{name}}}            raw value (trusted content only)
+ *   {{#flag}}...{{/flag}} section rendered when flag is truthy
+ *   {{#list}}...{{/list}} repeated for each item of an array; the item's fields
+ *                         (or {{.}} for plain values) are in scope
+ *   {{^flag}}...{{/flag}} section rendered when flag is falsy
+ */
+
+const SUPPORTED_LOCALES = ['pt', 'en'];
+const DEFAULT_LOCALE = 'pt';
+
+const cache = new Map();
+
+function templatesDir() {
+  return process.env.TEMPLATES_DIR || path.join(process.cwd(), 'templates');
+}
+
+function escapeHtml(str = '') {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Pick a supported locale: explicit value first (e.g. body.locale), then Accept-Language.
+ */
+function resolveLocale(explicit, acceptLanguage) {
+  const pick = (tag) => {
+    const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : null;
+  };
+
+  const fromExplicit = pick(explicit);
+  if (fromExplicit) return fromExplicit;
+
+  // "en-US,en;q=0.9,pt;q=0.8" -> ordered by q
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter(l => l.tag && l.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const l of ranked) {
+    const found = pick(l.tag);
+    if (found) return found;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Read a template file (cached), falling back to the default locale. Returns null if absent.
+function loadTemplate(id, locale, ext) {
+  const key = `${id}.${locale}.${ext}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const file = path.join(templatesDir(), key);
+  let source = null;
+  if (fs.existsSync(file)) source = fs.readFileSync(file, 'utf8');
+  else if (locale !== DEFAULT_LOCALE) source = loadTemplate(id, DEFAULT_LOCALE, ext);
+
+  if (process.env.NODE_ENV !== 'development') cache.set(key, source);
+  return source;
+}
+
+function lookup(vars, key) {
+  if (key === '.') return vars['.'];
+  return key.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), vars);
+}
+
+// {{{raw}}}, {{#section}} / {{^inverted}} / {{/section}}, {{value}}
+const TAG_RE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{([#^/])([\w.]+)\}\}|\{\{\s*([\w.]+)\s*\}\}/;
+
+/**
+ * Source -> tree of text and tags, in one pass, so output inserted while rendering is
+ * never scanned for tags again. Unmatched section tags are kept as plain text.
+ */
+function parse(source) {
+  const root = { nodes: [] };
+  const stack = [root];
+  const re = new RegExp(TAG_RE.source, 'g');
+  // an unclosed section turns back into its tag text followed by its contents
+  const unwind = () => {
+    const section = stack.pop();
+    const { nodes } = stack[stack.length - 1];
+    nodes.splice(nodes.length - 1, 1, section.tag, ...section.nodes);
+  };
+
+  let last = 0;
+  let m;
+  while ((m = re.exec(source))) {
+    const nodes = stack[stack.length - 1].nodes;
+    if (m.index > last) nodes.push(source.slice(last, m.index));
+    last = re.lastIndex;
+
+    if (m[1]) nodes.push({ type: 'raw', key: m[1] });
+    else if (m[4]) nodes.push({ type: 'value', key: m[4] });
+    else if (m[2] !== '/') {
+      const section = { type: m[2], key: m[3], tag: m[0], nodes: [] };
+      nodes.push(section);
+      stack.push(section);
+    } else if (stack.some((s, i) => i > 0 && s.key === m[3])) {
+      while (stack[stack.length - 1].key !== m[3]) unwind();
+      stack.pop();
+    } else {
+      nodes.push(m[0]);
+    }
+  }
+  if (last < source.length) stack[stack.length - 1].nodes.push(source.slice(last));
+  while (stack.length > 1) unwind();
+  return root.nodes;
+}
+
+function renderNodes(nodes, vars, escape) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') return node;
+    const value = lookup(vars, node.key);
+    if (node.type === 'raw') return value == null ? '' : String(value);
+    if (node.type === 'value') {
+      if (value == null) return '';
+      return escape ? escapeHtml(value) : String(value);
+    }
+    if (node.type === '#' && Array.isArray(value)) {
+      return value.map((item) => {
+        const scope = Object.assign({}, vars, item && typeof item === 'object' ? item : {}, { '.': item });
+        return renderNodes(node.nodes, scope, escape);
+      }).join('');
+    }
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return (node.type === '#' ? truthy : !truthy) ? renderNodes(node.nodes, vars, escape) : '';
+  }).join('');
+}
+
+function renderString(source, vars = {}, { escape = true } = {}) {
+  return renderNodes(parse(String(source)), vars, escape);
+}
+
+// Split an optional leading "Subject: ..." line off a text template
+function splitSubject(source) {
+  const match = /^Subject:[ \t]*(.*)\r?\n\r?\n?/.exec(source);
+  if (!match) return { subject: null, body: source };
+  return { subject: match[1], body: source.slice(match[0].length) };
+}
+
+/**
+ * Render template `id` in `locale`. Returns { locale, subject, html, text };
+ * html/text are null when the corresponding file does not exist.
+ */
+function renderTemplate(id, locale, vars = {}) {
+  const loc = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const htmlSource = loadTemplate(id, loc, 'html');
+  const textSource = loadTemplate(id, loc, 'txt');
+  if (!htmlSource && !textSource) throw new Error(`Template not found: ${id}`);
+
+  const { subject, body } = splitSubject(textSource || '');
+  const data = Object.assign({ locale: loc }, vars);
+
+  return {
+    locale: loc,
+    subject: subject ? renderString(subject, data, { escape: false }).trim() : null,
+    html: htmlSource ? renderString(htmlSource, data) : null,
+    text: textSource ? renderString(body, data, { escape: false }) : null
+  };
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  escapeHtml,
+  resolveLocale,
+  renderString,
+  renderTemplate
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+/**
+ * Ordered mail transports with failover, used by getTransporter() (lib/mailer.js).
+ *
+ *   primary    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   secondary  SMTP_SECONDARY_HOST, _PORT, _SECURE, _USER, _PASS (optional)
+ *   outbox     MAIL_OUTBOX=file (one .eml per message in MAIL_OUTBOX_DIR) or
+ *              MAIL_OUTBOX=stream (raw message on stdout); meant for local development
+ *
+ * A send goes to the first available transport and moves on to the next one on
+ * connection or auth errors. After MAIL_FAILURE_THRESHOLD consecutive failures a
+ * transport is skipped for MAIL_COOLDOWN_MS (circuit open); the first send after the
+ * cooldown probes it again (half-open) and closes the circuit on success.
+ */
+
+const FAILURE_THRESHOLD = parseInt(process.env.MAIL_FAILURE_THRESHOLD || '3', 10);
+const COOLDOWN_MS = parseInt(process.env.MAIL_COOLDOWN_MS || String(60 * 1000), 10);
+const CONNECTION_TIMEOUT_MS = parseInt(process.env.MAIL_CONNECTION_TIMEOUT_MS || '10000', 10);
+
+// nodemailer/socket error codes that another server may not have
+const FAILOVER_CODES = new Set([
+  'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ETLS', 'EAUTH', 'ENOAUTH', 'EPROTOCOL',
+  'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'
+]);
+// SMTP replies meaning "this server can't take it right now"
+const FAILOVER_RESPONSES = new Set([421, 454]);
+
+function isFailoverError(err) {
+  if (!err) return false;
+  return FAILOVER_CODES.has(err.code) || FAILOVER_RESPONSES.has(err.responseCode);
+}
+
+function smtpConfig(name, prefix, env) {
+  const host = env[`${prefix}HOST`];
+  if (!host) return null;
+  return {
+    name,
+    kind: 'smtp',
+    options: {
+      host,
+      port: parseInt(env[`${prefix}PORT`] || '587', 10),
+      secure: (String(env[`${prefix}SECURE`] || 'false').toLowerCase() === 'true'),
+      auth: {
+        user: env[`${prefix}USER`],
+        pass: env[`${prefix}PASS`]
+      },
+      connectionTimeout: CONNECTION_TIMEOUT_MS,
+      greetingTimeout: CONNECTION_TIMEOUT_MS
+    }
+  };
+}
+
+function defaultOutboxDir(env) {
+  if (env.MAIL_OUTBOX_DIR) return env.MAIL_OUTBOX_DIR;
+  const base = env.VERCEL ? os.tmpdir() : path.join(process.cwd(), 'data');
+  return path.join(base, 'outbox');
+}
+
+/**
+ * Transport list from the environment, in failover order.
+ */
+function transportConfigs(env = process.env) {
+  const configs = [
+    smtpConfig('primary', 'SMTP_', env),
+    smtpConfig('secondary', 'SMTP_SECONDARY_', env)
+  ];
+  const outbox = String(env.MAIL_OUTBOX || '').toLowerCase();
+  if (outbox === 'file') configs.push({ name: 'outbox', kind: 'file', dir: defaultOutboxDir(env) });
+  if (outbox === 'stream') configs.push({ name: 'outbox', kind: 'stream' });
+  return configs.filter(Boolean);
+}
+
+/**
+ * Dev outbox: nodemailer builds the full MIME message, which is written to a
+ * .eml file (kind "file") or to a stream (kind "stream", stdout by default).
+ */
+function createOutboxTransport({ kind, dir, stream = process.stdout }) {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(mail) {
+      const info = await builder.sendMail(mail);
+      if (kind === 'file') {
+        await fs.mkdir(dir, { recursive: true });
+        const id = String(info.messageId || '').replace(/[^\w.-]+/g, '') || String(Date.now());
+        const file = path.join(dir, `${Date.now()}-${id}.eml`);
+        await fs.writeFile(file, info.message);
+        return Object.assign({}, info, { file });
+      }
+      stream.write(info.message);
+      stream.write('\n');
+      return info;
+    },
+    async verify() {
+      if (kind !== 'file') return true;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.access(dir, fsConstants.W_OK);
+      return true;
+    },
+    close() {
+      builder.close();
+    }
+  };
+}
+
+function createTransportFor(config, createTransport = nodemailer.createTransport) {
+  return config.kind === 'smtp' ? createTransport(config.options) : createOutboxTransport(config);
+}
+
+/**
+ * Check one transport on a dedicated connection (short timeouts, never the shared
+ * transporter), for the health checks.
+ */
+async function verifyTransport(config, { timeoutMs = 4000 } = {}) {
+  const dedicated = config.kind !== 'smtp' ? config : Object.assign({}, config, {
+    options: Object.assign({}, config.options, { connectionTimeout: timeoutMs, greetingTimeout: timeoutMs, tls: { minVersion: 'TLSv1.2' } })
+  });
+  const transporter = createTransportFor(dedicated);
+  try {
+    await transporter.verify();
+    return { ok: true };
+  } finally {
+    transporter.close();
+  }
+}
+
+/**
+ * Router over the configured transports. Exposes sendMail() like a nodemailer
+ * transporter, plus status() (circuit state per transport) and close().
+ * Rejects with code ENOTRANSPORT when every transport failed or is circuit-broken;
+ * message-level errors (e.g. a rejected recipient) are thrown right away.
+ */
+function createMailRouter(configs, {
+  failureThreshold = FAILURE_THRESHOLD,
+  cooldownMs = COOLDOWN_MS,
+  createTransport = nodemailer.createTransport,
+  now = Date.now
+} = {}) {
+  const entries = configs.map(config => ({
+    config,
+    transporter: null,
+    failures: 0,
+    openUntil: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null
+  }));
+
+  const circuit = (entry) => {
+    if (entry.openUntil > now()) return 'open';
+    return entry.failures >= failureThreshold ? 'half-open' : 'closed';
+  };
+
+  const transporterFor = (entry) => {
+    if (!entry.transporter) entry.transporter = createTransportFor(entry.config, createTransport);
+    return entry.transporter;
+  };
+
+  const recordFailure = (entry, err) => {
+    entry.failures += 1;
+    entry.lastError = err && err.message ? err.message : String(err);
+    entry.lastFailureAt = new Date(now()).toISOString();
+    if (entry.failures >= failureThreshold) entry.openUntil = now() + cooldownMs;
+    logger.warn('Mail transport failed', {
+      module: 'mailer',
+      transport: entry.config.name,
+      code: err && err.code,
+      error: entry.lastError,
+      failures: entry.failures,
+      circuit: circuit(entry)
+    });
+  };
+
+  return {
+    async sendMail(mail) {
+      const errors = [];
+      for (const entry of entries) {
+        if (circuit(entry) === 'open') continue;
+        let info;
+        try {
+          info = await transporterFor(entry).sendMail(mail);
+        } catch (err) {
+          // another server won't accept a message this one refused
+          if (!isFailoverError(err)) throw err;
+          recordFailure(entry, err);
+          errors.push(`${entry.config.name}: ${entry.lastError}`);
+          continue;
+        }
+        if (entry.failures) logger.info('Mail transport recovered', { module: 'mailer', transport: entry.config.name });
+        entry.failures = 0;
+        entry.openUntil = 0;
+        entry.lastSuccessAt = new Date(now()).toISOString();
+        return Object.assign({}, info, { transport: entry.config.name });
+      }
+
+      const reason = !entries.length
+        ? 'No mail transport configured'
+        : (errors.length ? `All mail transports failed (${errors.join('; ')})` : 'All mail transports are circuit-broken');
+      throw Object.assign(new Error(reason), { code: 'ENOTRANSPORT' });
+    },
+
+    status() {
+      return entries.map(entry => ({
+        name: entry.config.name,
+        kind: entry.config.kind,
+        circuit: circuit(entry),
+        failures: entry.failures,
+        openUntil: entry.openUntil > now() ? new Date(entry.openUntil).toISOString() : null,
+        lastError: entry.lastError,
+        lastFailureAt: entry.lastFailureAt,
+        lastSuccessAt: entry.lastSuccessAt
+      }));
+    },
+
+    close() {
+      entries.forEach((entry) => {
+        if (entry.transporter && typeof entry.transporter.close === 'function') entry.transporter.close();
+        entry.transporter = null;
+      });
+    }
+  };
+}
+
+module.exports = {
+  isFailoverError,
+  transportConfigs,
+  createOutboxTransport,
+  verifyTransport,
+  createMailRouter
+};
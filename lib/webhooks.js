@@ -0,0 +1,222 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Outbound notifications for new contact submissions.
+ *
+ * Targets come from WEBHOOK_TARGETS (JSON array) or WEBHOOK_TARGETS_FILE (path to a JSON file):
+ *   [{ "type": "json", "url": "https://example.com/hook", "secret": "..." },
+ *    { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+ *    { "type": "discord", "url": "https://discord.com/api/webhooks/..." },
+ *    { "type": "telegram", "botToken": "...", "chatId": "...", "apiBase": "https://api.telegram.org" }]
+ * Optional per target: name, timeoutMs (default 4000), retries (default 2).
+ * WEBHOOK_BUDGET_MS (default 4000) caps the whole fan-out, retries included, so the contact
+ * response never waits long enough to hit the function time limit.
+ */
+
+const BUDGET_MS = parseInt(process.env.WEBHOOK_BUDGET_MS || '4000', 10);
+const DEFAULT_TIMEOUT_MS = 4000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 300;
+const CHAT_MESSAGE_MAX = 1000;
+
+function loadTargets() {
+  let raw = process.env.WEBHOOK_TARGETS || null;
+  if (!raw && process.env.WEBHOOK_TARGETS_FILE) {
+    try {
+      raw = fs.readFileSync(process.env.WEBHOOK_TARGETS_FILE, 'utf8');
+    } catch (e) {
+      logger.error('Webhooks: cannot read WEBHOOK_TARGETS_FILE', { module: 'webhooks', error: e.message });
+    }
+  }
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    return (Array.isArray(list) ? list : [list]).filter(t => t && t.type && (t.url || t.type === 'telegram'));
+  } catch (e) {
+    logger.error('Webhooks: invalid target JSON', { module: 'webhooks', error: e.message });
+    return [];
+  }
+}
+
+function truncate(str = '', max = CHAT_MESSAGE_MAX) {
+  const s = String(str);
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// Public part of a submission (no IP, no internal delivery state, only the spam verdict)
+function toEvent(record) {
+  return {
+    event: 'contact.created',
+    id: record.id || null,
+    createdAt: record.createdAt || new Date().toISOString(),
+    spam: record.spam ? { verdict: record.spam.verdict, score: record.spam.score } : null,
+    data: {
+      name: record.name,
+      email: record.email,
+      subject: record.subject || null,
+      phone: record.phone || null,
+      budget: record.budget || null,
+      locale: record.locale || null,
+      message: record.message
+    }
+  };
+}
+
+// Same tag as the email subject (lib/mailer.js) for submissions the spam score only flagged
+function spamTag(event) {
+  return event.spam && event.spam.verdict === 'flag' ? '[SPAM?] ' : '';
+}
+
+function summaryLines(data) {
+  return [
+    `Nome: ${data.name}`,
+    `Email: ${data.email}`,
+    data.subject ? `Assunto: ${data.subject}` : null,
+    data.phone ? `Telefone: ${data.phone}` : null,
+    data.budget ? `Orçamento: ${data.budget} USD` : null
+  ].filter(Boolean);
+}
+
+// Formatters: target + event -> { url, body, headers }
+const formatters = {
+  json(target, event) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'X-Webhook-Event': event.event, 'X-Webhook-Timestamp': timestamp };
+    if (target.secret) {
+      // signature over "<timestamp>.<body>" so a captured payload can't be replayed with a new timestamp
+      const mac = crypto.createHmac('sha256', target.secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${mac}`;
+    }
+    return { url: target.url, body, headers };
+  },
+
+  slack(target, event) {
+    const d = event.data;
+    return {
+      url: target.url,
+      body: JSON.stringify({
+        text: `${spamTag(event)}Novo contacto do portfólio — ${d.name}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: `${spamTag(event)}Novo contacto do portfólio` } },
+          { type: 'section', text: { type: 'plain_text', text: summaryLines(d).join('\n') } },
+          { type: 'section', text: { type: 'plain_text', text: truncate(d.message) } }
+        ]
+      })
+    };
+  },
+
+  discord(target, event) {
+    const d = event.data;
+    return {
+      url: target.url,
+      body: JSON.stringify({
+        content: `${spamTag(event)}Novo contacto do portfólio — ${truncate(d.name, 100)}`,
+        allowed_mentions: { parse: [] },
+        embeds: [{
+          title: truncate(d.subject || 'Contacto pelo Portfólio', 256),
+          description: truncate(d.message, 4000),
+          color: 0xa05aff,
+          fields: summaryLines(d).map((line) => {
+            const [name, ...rest] = line.split(': ');
+            return { name, value: truncate(rest.join(': '), 1024), inline: true };
+          }),
+          timestamp: event.createdAt
+        }]
+      })
+    };
+  },
+
+  telegram(target, event) {
+    const d = event.data;
+    const base = (target.apiBase || 'https://api.telegram.org').replace(/\/+$/, '');
+    return {
+      url: target.url || `${base}/bot${target.botToken}/sendMessage`,
+      body: JSON.stringify({
+        chat_id: target.chatId,
+        text: truncate([`${spamTag(event)}Novo contacto do portfólio`, ...summaryLines(d), '', d.message].join('\n'), 4000),
+        disable_web_page_preview: true
+      })
+    };
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function postOnce(url, body, headers, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', 'User-Agent': 'portfolio-webhooks/1' }, headers),
+      body,
+      signal: controller.signal
+    });
+    // drain so the socket can be reused
+    await resp.text().catch(() => '');
+    return resp.status;
+  } catch (err) {
+    if (err && err.name === 'AbortError') throw new Error('timeout');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * POST one formatted payload with timeout and retry-with-backoff
+ * (retries network errors, timeouts, 429 and 5xx) until `deadline` (epoch ms). Never throws.
+ */
+async function sendToTarget(target, event, deadline = Infinity) {
+  const format = formatters[target.type];
+  const name = target.name || target.type;
+  if (!format) return { target: name, ok: false, attempts: 0, error: `unknown type ${target.type}` };
+
+  const { url, body, headers } = format(target, event);
+  const timeoutMs = parseInt(target.timeoutMs || DEFAULT_TIMEOUT_MS, 10);
+  const retries = target.retries === undefined ? DEFAULT_RETRIES : parseInt(target.retries, 10);
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const status = await postOnce(url, body, headers, Math.min(timeoutMs, deadline - Date.now()));
+      if (status >= 200 && status < 300) return { target: name, ok: true, attempts: attempt, status };
+      lastError = `HTTP ${status}`;
+      if (status < 500 && status !== 429) return { target: name, ok: false, attempts: attempt, error: lastError };
+    } catch (err) {
+      lastError = err && err.message ? err.message : String(err);
+    }
+    if (attempt <= retries) {
+      const backoff = BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 100);
+      // no time left for another attempt
+      if (Date.now() + backoff >= deadline) return { target: name, ok: false, attempts: attempt, error: lastError };
+      await sleep(backoff);
+    }
+  }
+  return { target: name, ok: false, attempts: retries + 1, error: lastError };
+}
+
+/**
+ * Fan a submission out to every configured target in parallel, within budgetMs.
+ * Resolves with one result per target; a failing channel never rejects.
+ */
+async function notifyWebhooks(record, targets = loadTargets(), { budgetMs = BUDGET_MS } = {}) {
+  if (!targets.length) return [];
+  const event = toEvent(record);
+  const deadline = Date.now() + budgetMs;
+  const results = await Promise.all(targets.map(t => sendToTarget(t, event, deadline)));
+  for (const r of results) if (!r.ok) logger.warn('Webhook delivery failed', { module: 'webhooks', target: r.target, error: r.error });
+  return results;
+}
+
+module.exports = {
+  loadTargets,
+  formatters,
+  sendToTarget,
+  notifyWebhooks
+};
@@ -0,0 +1,138 @@
+/**
+ * Contact form schema — shared by the browser (window.ContactSchema)
+ * and the serverless function (require('../public/js/contact-schema')).
+ * Keep it dependency-free and ES2017 so both sides can load it as-is.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ContactSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const PHONE_RE = /^\+?[0-9\s().-]+$/;
+
+  // Field definitions: type, required, min/max length (after trimming)
+  const fields = {
+    name: { type: 'string', required: true, min: 3, max: 100 },
+    email: { type: 'email', required: true, max: 254 },
+    message: { type: 'text', required: true, min: 10, max: 5000 },
+    subject: { type: 'string', required: false, max: 120 },
+    phone: { type: 'phone', required: false, min: 6, max: 30 },
+    budget: { type: 'enum', required: false, values: ['<500', '500-1500', '1500-5000', '5000+'] }
+  };
+
+  // Optional attachments (multipart field "attachments"). The total stays under the
+  // 4.5 MB request limit of Vercel functions; the server also checks the magic bytes.
+  const attachments = {
+    field: 'attachments',
+    maxFiles: 3,
+    maxFileBytes: 4 * 1024 * 1024,
+    maxTotalBytes: 4 * 1024 * 1024,
+    types: {
+      pdf: 'application/pdf',
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      webp: 'image/webp',
+      docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    }
+  };
+
+  const messages = {
+    required: 'Campo obrigatório.',
+    min: 'Mínimo de {min} caracteres.',
+    max: 'Máximo de {max} caracteres.',
+    email: 'Email inválido.',
+    phone: 'Telefone inválido.',
+    enum: 'Opção inválida.',
+    fileCount: 'Máximo de {maxFiles} ficheiros.',
+    fileSize: 'Os anexos podem ter até {maxMb} MB.',
+    fileType: 'Tipo de ficheiro não suportado (PDF, imagens ou DOCX).'
+  };
+
+  const format = (msg, rule) => msg.replace(/\{(\w+)\}/g, (_, k) => (rule[k] != null ? rule[k] : ''));
+
+  // Normalise a raw value: strings are trimmed (whitespace-only becomes empty), emails lower-cased
+  function normalize(rule, raw) {
+    if (raw == null) return '';
+    let value = String(raw).trim();
+    if (rule.type === 'string' || rule.type === 'phone') value = value.replace(/\s+/g, ' ');
+    if (rule.type === 'email') value = value.toLowerCase();
+    return value;
+  }
+
+  // Returns an error message for one field, or null. `msgs` overrides the default (PT) messages.
+  function validateField(name, raw, msgs) {
+    const rule = fields[name];
+    if (!rule) return null;
+    const m = Object.assign({}, messages, msgs || {});
+    const value = normalize(rule, raw);
+
+    if (!value) return rule.required ? m.required : null;
+    if (rule.min && value.length < rule.min) return format(m.min, rule);
+    if (rule.max && value.length > rule.max) return format(m.max, rule);
+    if (rule.type === 'email' && !EMAIL_RE.test(value)) return m.email;
+    if (rule.type === 'phone' && (!PHONE_RE.test(value) || value.replace(/\D/g, '').length < 6)) return m.phone;
+    if (rule.type === 'enum' && rule.values.indexOf(value) === -1) return m.enum;
+    return null;
+  }
+
+  const extensionOf = (name) => {
+    const match = /\.([a-z0-9]+)$/i.exec(String(name || ''));
+    return match ? match[1].toLowerCase() : '';
+  };
+
+  /**
+   * Check attachment metadata: [{ name, size, type }] (File objects work as-is).
+   * Returns an error message or null. The declared type may be empty (some browsers
+   * leave it blank for .docx); when present it must match the extension.
+   */
+  function validateFiles(files, msgs) {
+    const list = Array.prototype.slice.call(files || []);
+    const m = Object.assign({}, messages, msgs || {});
+    const rule = {
+      maxFiles: attachments.maxFiles,
+      maxMb: Math.floor(attachments.maxTotalBytes / (1024 * 1024))
+    };
+
+    if (list.length > attachments.maxFiles) return format(m.fileCount, rule);
+    let total = 0;
+    for (let i = 0; i < list.length; i++) {
+      const file = list[i];
+      const expected = attachments.types[extensionOf(file.name)];
+      const declared = String(file.type || '').toLowerCase();
+      if (!expected || (declared && declared !== expected)) return m.fileType;
+      if (!(file.size > 0) || file.size > attachments.maxFileBytes) return format(m.fileSize, rule);
+      total += file.size;
+    }
+    if (total > attachments.maxTotalBytes) return format(m.fileSize, rule);
+    return null;
+  }
+
+  /**
+   * Validate a whole submission.
+   * Returns { valid, values, errors } where values holds the normalised known fields
+   * (empty optional fields are dropped) and errors maps field -> message.
+   * Pass `msgs` (same keys as `messages`) to get errors in another language.
+   */
+  function validate(input, msgs) {
+    const data = input || {};
+    const values = {};
+    const errors = {};
+
+    Object.keys(fields).forEach((name) => {
+      const error = validateField(name, data[name], msgs);
+      if (error) {
+        errors[name] = error;
+        return;
+      }
+      const value = normalize(fields[name], data[name]);
+      if (value) values[name] = value;
+    });
+
+    return { valid: Object.keys(errors).length === 0, values, errors };
+  }
+
+  return { fields, attachments, messages, normalize, validateField, validateFiles, validate };
+});
@@ -2,6 +2,16 @@
   'use strict';
 
   const LOTTIE_PATH = 'img/hero-animations.json';
+  const PROJECTS_API = '/api/projects';
+  const EVENTS_API = '/api/events';
+  const PROJECTS_JSON = 'data/projects.json';
+  const RESUME_JSON = 'data/resume.json';
+  const I18N_PATH = 'i18n';
+  const LOCALES = ['pt', 'en'];
+  const DEFAULT_LOCALE = 'pt';
+  const LOCALE_KEY = 'locale';
+  const THEME_KEY = 'theme';
+  const MOTION_KEY = 'motion';
 
   // -----------------------
   // Helpers
@@ -18,6 +28,229 @@
     setTimeout(() => { el.hidden = true; el.textContent = ''; }, timeout);
   };
 
+  // -----------------------
+  // i18n: dictionaries in i18n/<locale>.json; DOM via data-i18n="key"
+  // and data-i18n-attr="attr:key;attr2:key2". Choice persisted in localStorage.
+  // -----------------------
+  const i18n = (() => {
+    const dicts = {};
+    let locale = DEFAULT_LOCALE;
+
+    const pick = (tag) => {
+      const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+      return LOCALES.includes(base) ? base : null;
+    };
+
+    const detect = () => {
+      let saved = null;
+      try { saved = localStorage.getItem(LOCALE_KEY); } catch (err) { /* storage disabled */ }
+      const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+      return pick(saved) || preferred.map(pick).find(Boolean) || DEFAULT_LOCALE;
+    };
+
+    const load = async (loc) => {
+      if (dicts[loc]) return dicts[loc];
+      const res = await fetch(`${I18N_PATH}/${loc}.json`);
+      if (!res.ok) throw new Error(`Dicionário ${loc} não encontrado`);
+      dicts[loc] = await res.json();
+      return dicts[loc];
+    };
+
+    const lookup = (dict, key) => key.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), dict);
+
+    // t('portfolio.countMany', { count: 3 }); unknown placeholders are left as-is
+    const t = (key, vars = {}) => {
+      let value = lookup(dicts[locale], key);
+      if (typeof value !== 'string') value = lookup(dicts[DEFAULT_LOCALE], key);
+      if (typeof value !== 'string') return key;
+      return value.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+    };
+
+    // Localised catalogue values: "text" or { pt: "...", en: "..." }
+    const localize = (value) => {
+      if (!value || typeof value !== 'object') return value || '';
+      return value[locale] || value[DEFAULT_LOCALE] || Object.values(value)[0] || '';
+    };
+
+    const apply = (root = document) => {
+      if (!dicts[locale] && !dicts[DEFAULT_LOCALE]) return;
+      $$('[data-i18n]', root).forEach((el) => {
+        const value = t(el.dataset.i18n);
+        if (value !== el.dataset.i18n) el.textContent = value;
+      });
+      $$('[data-i18n-attr]', root).forEach((el) => {
+        el.dataset.i18nAttr.split(';').forEach((pair) => {
+          const [attr, key] = pair.split(':').map(x => x.trim());
+          const value = attr && key ? t(key) : key;
+          if (attr && value !== key) el.setAttribute(attr, value);
+        });
+      });
+      $$('.lang-btn[data-locale]').forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.locale === locale)));
+      document.documentElement.lang = locale;
+      document.title = t('meta.title');
+      const description = $('meta[name="description"]');
+      if (description) description.setAttribute('content', t('meta.description'));
+    };
+
+    const setLocale = async (loc, { persist = true } = {}) => {
+      const next = pick(loc) || DEFAULT_LOCALE;
+      try {
+        await Promise.all([load(DEFAULT_LOCALE), load(next)]);
+        locale = next;
+      } catch (err) {
+        console.warn('Falha ao carregar traduções:', err);
+      }
+      if (persist) {
+        try { localStorage.setItem(LOCALE_KEY, locale); } catch (err) { /* storage disabled */ }
+      }
+      apply();
+      document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale } }));
+      return locale;
+    };
+
+    // first load (not persisted: only an explicit choice is remembered)
+    const ready = Promise.all([load(DEFAULT_LOCALE), load(detect())])
+      .then(() => { locale = detect(); })
+      .catch((err) => console.warn('Falha ao carregar traduções:', err));
+
+    return { t, localize, apply, setLocale, ready, getLocale: () => locale };
+  })();
+  const t = i18n.t;
+
+  // -----------------------
+  // Theme: html[data-theme] = light | dark | contrast (palettes in style.css).
+  // Choice "auto" follows prefers-contrast / prefers-color-scheme; js/theme-init.js
+  // sets the first value before paint.
+  // -----------------------
+  const theme = (() => {
+    const THEMES = ['light', 'dark', 'contrast'];
+    const CHOICES = ['auto'].concat(THEMES);
+    const ICONS = { auto: 'monitor', light: 'sun', dark: 'moon', contrast: 'eye' };
+    const root = document.documentElement;
+    const media = (query) => (window.matchMedia ? window.matchMedia(query) : null);
+    const contrastQuery = media('(prefers-contrast: more)');
+    const lightQuery = media('(prefers-color-scheme: light)');
+
+    const readChoice = () => {
+      let saved = null;
+      try { saved = localStorage.getItem(THEME_KEY); } catch (err) { /* storage disabled */ }
+      return THEMES.includes(saved) ? saved : 'auto';
+    };
+    let choice = readChoice();
+
+    const systemTheme = () => {
+      if (contrastQuery && contrastQuery.matches) return 'contrast';
+      return lightQuery && lightQuery.matches ? 'light' : 'dark';
+    };
+
+    const apply = () => {
+      const active = choice === 'auto' ? systemTheme() : choice;
+      root.dataset.theme = active;
+      // browser UI colour follows the palette
+      const meta = $('meta[name="theme-color"]');
+      if (meta) meta.setAttribute('content', getComputedStyle(root).getPropertyValue('--bg').trim() || '#0b0f14');
+      document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme: active, choice } }));
+    };
+
+    const set = (next) => {
+      choice = CHOICES.includes(next) ? next : 'auto';
+      try {
+        if (choice === 'auto') localStorage.removeItem(THEME_KEY);
+        else localStorage.setItem(THEME_KEY, choice);
+      } catch (err) { /* storage disabled */ }
+      apply();
+    };
+
+    // system changes only matter while following the system
+    [contrastQuery, lightQuery].forEach((q) => {
+      if (q && q.addEventListener) q.addEventListener('change', () => { if (choice === 'auto') apply(); });
+    });
+
+    return {
+      apply,
+      set,
+      cycle: () => set(CHOICES[(CHOICES.indexOf(choice) + 1) % CHOICES.length]),
+      getChoice: () => choice,
+      icon: () => ICONS[choice]
+    };
+  })();
+
+  // -----------------------
+  // Motion: one switch for every animation. Reduced when the OS asks for it
+  // (prefers-reduced-motion) or the visitor pauses animations; mirrored on
+  // html[data-motion] so CSS can drop transitions too.
+  // -----------------------
+  const motion = (() => {
+    const root = document.documentElement;
+    const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let paused = false;
+    try { paused = localStorage.getItem(MOTION_KEY) === 'paused'; } catch (err) { /* storage disabled */ }
+
+    const isReduced = () => paused || Boolean(query && query.matches);
+
+    // skip heavy media on Data Saver or 2G-class connections
+    const isLowData = () => {
+      const conn = navigator.connection;
+      return Boolean(conn && (conn.saveData || /(^|-)2g$/.test(conn.effectiveType || '')));
+    };
+
+    const apply = () => {
+      root.dataset.motion = isReduced() ? 'reduced' : 'full';
+      document.dispatchEvent(new CustomEvent('motion:change', { detail: { reduced: isReduced(), paused } }));
+    };
+
+    const setPaused = (value) => {
+      paused = Boolean(value);
+      try {
+        if (paused) localStorage.setItem(MOTION_KEY, 'paused');
+        else localStorage.removeItem(MOTION_KEY);
+      } catch (err) { /* storage disabled */ }
+      apply();
+    };
+
+    if (query && query.addEventListener) query.addEventListener('change', apply);
+    root.dataset.motion = isReduced() ? 'reduced' : 'full';
+
+    return { isReduced, isLowData, setPaused, isPaused: () => paused, scrollBehavior: () => (isReduced() ? 'auto' : 'smooth') };
+  })();
+
+  // -----------------------
+  // Analytics: cookieless first-party events batched to /api/events with
+  // sendBeacon. Nothing is sent when Do-Not-Track / Global Privacy Control is on.
+  // -----------------------
+  const tracker = (() => {
+    const FLUSH_DELAY_MS = 5000;
+    const MAX_QUEUE = 20;
+    const enabled = !(navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+    let queue = [];
+    let timer = null;
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (!queue.length) return;
+      const body = JSON.stringify({ events: queue });
+      queue = [];
+      const blob = new Blob([body], { type: 'application/json' });
+      if (navigator.sendBeacon && navigator.sendBeacon(EVENTS_API, blob)) return;
+      fetch(EVENTS_API, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {});
+    };
+
+    // track('demo_open', { project: 'aurora' }); extra fields: project, label
+    const track = (name, fields = {}) => {
+      if (!enabled) return;
+      queue.push(Object.assign({ name, ts: Date.now(), path: location.pathname }, fields));
+      if (queue.length >= MAX_QUEUE) flush();
+      else if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+    };
+
+    // last chance before the page goes away
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flush(); });
+    window.addEventListener('pagehide', flush);
+
+    return { track, flush, enabled };
+  })();
+
   // -----------------------
   // Init on DOM ready
   // -----------------------
@@ -30,6 +263,11 @@
       ctaWork: $('#cta-work'),
       ctaContact: $('#cta-contact'),
       portfolio: $('#portfolio'),
+      projectsGrid: $('#projects-grid'),
+      projectSearch: $('#project-search'),
+      projectSort: $('#project-sort'),
+      projectFilters: $('#project-filters'),
+      projectsStatus: $('#projects-status'),
       contacto: $('#contacto'),
       lottieContainer: $('#lottie-hero'),
       modal: $('#modal'),
@@ -39,6 +277,7 @@
       demoButtons: $$('.demo-btn'),
       contactForm: $('#contact-form'),
       formFeedback: $('#form-feedback'),
+      formProgress: $('#form-progress'),
       contactToast: $('#contact-toast'),
       copyEmailBtn: $('#copy-email-btn'),
       copyEmailInput: $('#copy-email-input'),
@@ -48,125 +287,690 @@
     // Safe scroll helpers
     const smoothScrollTo = (el) => {
       if (!el) return;
-      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      el.scrollIntoView({ behavior: motion.scrollBehavior(), block: 'center' });
     };
 
+    // Translate the page and wire the language switcher (.main-nav)
+    i18n.ready.then(() => {
+      if (i18n.getLocale() !== DEFAULT_LOCALE) i18n.apply();
+      else $$('.lang-btn[data-locale]').forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.locale === DEFAULT_LOCALE)));
+    });
+    $$('.lang-btn[data-locale]').forEach((btn) => {
+      btn.addEventListener('click', () => i18n.setLocale(btn.dataset.locale));
+    });
+
+    // Theme toggle (header): auto → light → dark → high contrast
+    (function setupThemeToggle() {
+      theme.apply();
+      const btn = $('#theme-toggle');
+      if (!btn) return;
+      const render = () => {
+        const label = t('theme.toggle', { theme: t(`theme.${theme.getChoice()}`) });
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+        const icon = document.createElement('i');
+        icon.setAttribute('data-feather', theme.icon());
+        btn.replaceChildren(icon);
+        if (window.feather) feather.replace();
+      };
+      btn.addEventListener('click', () => { theme.cycle(); render(); });
+      document.addEventListener('i18n:change', render);
+      i18n.ready.then(render);
+    })();
+
+    // "Pause animations" toggle (header)
+    (function setupMotionToggle() {
+      const btn = $('#motion-toggle');
+      if (!btn) return;
+      const render = () => {
+        const label = t(motion.isPaused() ? 'motion.resume' : 'motion.pause');
+        btn.setAttribute('aria-pressed', String(motion.isPaused()));
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+        const icon = document.createElement('i');
+        icon.setAttribute('data-feather', motion.isPaused() ? 'play' : 'pause');
+        btn.replaceChildren(icon);
+        if (window.feather) feather.replace();
+      };
+      btn.addEventListener('click', () => { motion.setPaused(!motion.isPaused()); render(); });
+      document.addEventListener('i18n:change', render);
+      i18n.ready.then(render);
+    })();
+
+    // Service worker (offline shell + contact outbox replay)
+    if ('serviceWorker' in navigator) {
+      window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Falha ao registar service worker:', err));
+      });
+    }
+
     // Attach CTA smooth scrolls (guard null)
-    if (nodes.ctaWork) nodes.ctaWork.addEventListener('click', () => smoothScrollTo(nodes.portfolio));
-    if (nodes.ctaContact) nodes.ctaContact.addEventListener('click', () => smoothScrollTo(nodes.contacto));
+    if (nodes.ctaWork) nodes.ctaWork.addEventListener('click', () => { tracker.track('cta_click', { label: 'work' }); smoothScrollTo(nodes.portfolio); });
+    if (nodes.ctaContact) nodes.ctaContact.addEventListener('click', () => { tracker.track('cta_click', { label: 'contact' }); smoothScrollTo(nodes.contacto); });
+
+    // Analytics: page view + CV downloads (header link and any other CV link)
+    tracker.track('page_view');
+    document.addEventListener('click', (ev) => {
+      const link = ev.target.closest && ev.target.closest('a[href*="/api/cv"]');
+      if (link) tracker.track('cv_download', { label: link.closest('.navbar') ? 'header' : 'page' });
+    });
+
+    // -----------------------
+    // Résumé (data/resume.json, helpers in js/resume.js): the Person JSON-LD (written
+    // into index.html by build.js) and the header CV link follow the page language
+    // -----------------------
+    (function setupResume() {
+      if (!window.Resume) return;
+      const link = $('#cv-link');
+      let source = null;
+
+      const render = () => {
+        const locale = i18n.getLocale();
+        const resume = Resume.localize(source, locale);
+        let script = $('script[type="application/ld+json"]#person-ld');
+        if (!script) {
+          script = document.createElement('script');
+          script.type = 'application/ld+json';
+          script.id = 'person-ld';
+          document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(Resume.toJsonLd(resume, locale));
+        if (link) {
+          link.href = Resume.cvUrl('pdf', locale);
+          link.setAttribute('download', Resume.filename(resume, locale, 'pdf'));
+        }
+      };
+
+      fetch(RESUME_JSON)
+        .then((res) => {
+          if (!res.ok) throw new Error('Currículo não encontrado');
+          return res.json();
+        })
+        .then(async (data) => {
+          source = data;
+          await i18n.ready;
+          render();
+          document.addEventListener('i18n:change', render);
+        })
+        .catch(err => console.warn('Falha ao carregar o currículo:', err));
+    })();
 
     // -----------------------
     // Intersection Observer: reveal effects (sections, cards)
     // -----------------------
-    safe(() => {
-      const faders = $$('.section, .card, .profile-card');
-      if (!faders.length) return;
+    // observeReveal(els) is reused for elements added later (e.g. rendered project cards).
+    // With reduced motion nothing is hidden; pending elements are shown at once.
+    const observeReveal = (() => {
+      if (!('IntersectionObserver' in window)) return () => {};
+      const pending = new Set();
+      const show = (el) => {
+        el.style.opacity = '1';
+        el.style.transform = 'translateY(0)';
+      };
       const io = new IntersectionObserver((entries, observer) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
-            const el = entry.target;
-            el.style.opacity = '1';
-            el.style.transform = 'translateY(0)';
-            observer.unobserve(el);
+            show(entry.target);
+            observer.unobserve(entry.target);
+            pending.delete(entry.target);
           }
         });
       }, { threshold: 0.12 });
-      faders.forEach(el => {
-        el.style.opacity = '0';
-        el.style.transform = 'translateY(14px)';
-        io.observe(el);
+      document.addEventListener('motion:change', (ev) => {
+        if (!ev.detail.reduced) return;
+        pending.forEach(el => { show(el); io.unobserve(el); });
+        pending.clear();
       });
+      return (els) => {
+        if (motion.isReduced()) return;
+        els.forEach(el => {
+          el.style.opacity = '0';
+          el.style.transform = 'translateY(14px)';
+          pending.add(el);
+          io.observe(el);
+        });
+      };
     })();
 
+    safe(() => observeReveal($$('.section, .card, .profile-card')))();
+
     // -----------------------
-    // Lottie: lazy-load and init
+    // Lottie (hero): one managed instance. Loaded when the hero nears the
+    // viewport, plays only while visible, the tab is shown and motion is allowed.
+    // Data Saver / slow connections (or no lottie lib) get the static poster.
     // -----------------------
-    (function setupLottieLazy() {
+    (function setupHeroAnimation() {
       const container = nodes.lottieContainer;
-      if (!container || !window.lottie) return;
+      if (!container) return;
+
+      const showPoster = () => container.classList.add('is-poster');
+      if (!window.lottie || !('IntersectionObserver' in window) || motion.isLowData()) {
+        showPoster();
+        return;
+      }
+
+      let anim = null;
+      let requested = false;
+      let inView = false;
+
+      const sync = () => {
+        if (!anim) return;
+        if (inView && !document.hidden && !motion.isReduced()) anim.play();
+        else anim.pause();
+      };
 
-      let loaded = false;
       const load = async () => {
-        if (loaded) return;
-        loaded = true;
+        if (requested) return;
+        requested = true;
         try {
           const resp = await fetch(LOTTIE_PATH);
           if (!resp.ok) throw new Error('Lottie JSON não encontrado');
           const json = await resp.json();
-          window.myLottie = lottie.loadAnimation({
+          if (!container.isConnected) return;
+          anim = lottie.loadAnimation({
             container,
             renderer: 'svg',
             loop: true,
-            autoplay: true,
+            autoplay: false,
             animationData: json
           });
-
-          // pause/play quando a tab perde/ganha visibilidade
-          document.addEventListener('visibilitychange', () => {
-            if (!window.myLottie) return;
-            if (document.hidden) window.myLottie.pause();
-            else window.myLottie.play();
-          });
-
+          // first frame doubles as the poster while paused
+          anim.goToAndStop(0, true);
+          sync();
         } catch (err) {
           console.warn('Falha ao carregar Lottie:', err);
+          showPoster();
         }
       };
 
-      const io = new IntersectionObserver((entries, observer) => {
+      const io = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            load();
-            observer.unobserve(entry.target);
-          }
+          inView = entry.isIntersecting;
+          if (inView) load();
+          sync();
         });
       }, { root: null, rootMargin: '200px', threshold: 0.05 });
-
       io.observe(container);
+
+      document.addEventListener('visibilitychange', sync);
+      document.addEventListener('motion:change', sync);
+
+      // teardown: observers, listeners and the lottie instance (not on bfcache)
+      const destroy = () => {
+        io.disconnect();
+        document.removeEventListener('visibilitychange', sync);
+        document.removeEventListener('motion:change', sync);
+        if (anim) anim.destroy();
+        anim = null;
+      };
+      window.addEventListener('pagehide', (ev) => { if (!ev.persisted) destroy(); });
+    })();
+
+    // -----------------------
+    // Projects: fetch catalogue and render cards into #portfolio
+    // -----------------------
+    (function setupProjects() {
+      const grid = nodes.projectsGrid;
+      if (!grid) return;
+
+      const el = (tag, attrs = {}, children = []) => {
+        const node = document.createElement(tag);
+        Object.keys(attrs).forEach(k => {
+          if (k === 'text') node.textContent = attrs[k];
+          else if (k === 'className') node.className = attrs[k];
+          else node.setAttribute(k, attrs[k]);
+        });
+        children.filter(Boolean).forEach(c => node.appendChild(c));
+        return node;
+      };
+
+      const renderCard = (p) => {
+        const cover = (p.images || [])[0];
+        const actions = el('div', { className: 'card-actions' }, [
+          p.demoUrl ? el('button', { type: 'button', className: 'glass-cta demo-btn', 'data-url': p.demoUrl, 'aria-label': t('portfolio.demoLabel', { title: p.title }) }, [
+            el('i', { 'data-feather': 'external-link' }), document.createTextNode(t('portfolio.demo'))
+          ]) : null,
+          p.repoUrl ? el('a', { className: 'glass-cta', href: p.repoUrl, target: '_blank', rel: 'noopener', 'aria-label': t('portfolio.codeLabel', { title: p.title }) }, [
+            el('i', { 'data-feather': 'github' }), document.createTextNode(t('portfolio.code'))
+          ]) : null,
+          p.caseStudyUrl ? el('a', { className: 'glass-cta', href: p.caseStudyUrl, 'aria-label': t('portfolio.caseStudyLabel', { title: p.title }) }, [
+            el('i', { 'data-feather': 'book-open' }), document.createTextNode(t('portfolio.caseStudy'))
+          ]) : null
+        ]);
+
+        const tags = (p.tags || []).length
+          ? el('div', { className: 'service-tags card-tags' }, p.tags.map(tag => el('span', { className: 'tag', text: tag })))
+          : null;
+
+        return el('article', { className: p.featured ? 'card card--featured' : 'card', role: 'listitem', 'data-project': p.id }, [
+          cover ? el('img', {
+            loading: 'lazy',
+            src: cover.src,
+            alt: i18n.localize(cover.alt) || p.title,
+            role: 'button',
+            tabindex: '0',
+            'aria-haspopup': 'dialog',
+            'aria-label': t('dialog.gallery', { title: p.title }),
+            'data-gallery': ''
+          }) : null,
+          el('div', { className: 'card-body' }, [
+            el('h4', { text: p.title }),
+            el('p', { text: i18n.localize(p.description) }),
+            tags,
+            actions
+          ])
+        ]);
+      };
+
+      const fetchCatalogue = async () => {
+        try {
+          const res = await fetch(PROJECTS_API);
+          if (res.ok) return (await res.json()).projects || [];
+        } catch (err) {
+          console.warn('API de projetos indisponível:', err);
+        }
+        // static fallback (e.g. plain static hosting)
+        const res = await fetch(PROJECTS_JSON);
+        if (!res.ok) throw new Error('Catálogo de projetos não encontrado');
+        const data = await res.json();
+        return Array.isArray(data) ? data : (data.projects || []);
+      };
+
+      let catalogue = null;
+
+      const render = () => {
+        const cards = catalogue.map(renderCard);
+        grid.replaceChildren(...cards);
+        if (!cards.length) grid.appendChild(el('p', { className: 'muted grid-status', text: t('portfolio.empty') }));
+        if (window.feather) feather.replace();
+        observeReveal(cards);
+        grid.dispatchEvent(new CustomEvent('projects:rendered', { detail: { projects: catalogue } }));
+      };
+
+      Promise.all([fetchCatalogue(), i18n.ready])
+        .then(([projects]) => {
+          catalogue = projects;
+          render();
+        })
+        .catch((err) => {
+          console.error('Falha ao carregar projetos:', err);
+          grid.replaceChildren(el('p', { className: 'muted grid-status', text: t('portfolio.error') }));
+        })
+        .finally(() => grid.setAttribute('aria-busy', 'false'));
+
+      // re-render localised card text on language change
+      document.addEventListener('i18n:change', () => { if (catalogue) render(); });
+    })();
+
+    // -----------------------
+    // Portfolio filters: tag chips, search, sort, deep links (?tag=react&q=ai&sort=newest)
+    // -----------------------
+    (function setupProjectFilters() {
+      const grid = nodes.projectsGrid;
+      const chips = nodes.projectFilters;
+      const search = nodes.projectSearch;
+      const sort = nodes.projectSort;
+      const status = nodes.projectsStatus;
+      if (!grid) return;
+
+      const state = { tag: '', q: '', sort: 'featured' };
+      let projects = [];
+
+      const norm = (v) => String(v || '').toLowerCase().trim();
+      const tagsOf = (p) => (p.tags || []).concat(p.category ? [p.category] : []);
+
+      const readUrl = () => {
+        const params = new URLSearchParams(location.search);
+        state.tag = norm(params.get('tag'));
+        state.q = params.get('q') || '';
+        state.sort = params.get('sort') === 'newest' ? 'newest' : 'featured';
+      };
+
+      // keep the view shareable without adding history entries per keystroke
+      const writeUrl = () => {
+        const params = new URLSearchParams(location.search);
+        [['tag', state.tag], ['q', state.q.trim()], ['sort', state.sort === 'featured' ? '' : state.sort]]
+          .forEach(([k, v]) => (v ? params.set(k, v) : params.delete(k)));
+        const qs = params.toString();
+        history.replaceState(history.state, '', `${location.pathname}${qs ? `?${qs}` : ''}${location.hash}`);
+      };
+
+      const renderChips = () => {
+        if (!chips) return;
+        const seen = new Map();
+        projects.forEach(p => tagsOf(p).forEach(t => { if (!seen.has(norm(t))) seen.set(norm(t), t); }));
+        const make = (value, label) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'filter-chip';
+          btn.dataset.tag = value;
+          btn.textContent = label;
+          return btn;
+        };
+        chips.replaceChildren(make('', t('portfolio.all')), ...Array.from(seen, ([value, label]) => make(value, label)));
+      };
+
+      const matches = (p) => {
+        if (state.tag && !tagsOf(p).some(t => norm(t) === state.tag)) return false;
+        const q = norm(state.q);
+        if (!q) return true;
+        return [p.title, i18n.localize(p.description)].concat(tagsOf(p)).some(v => norm(v).includes(q));
+      };
+
+      const compare = (a, b) => {
+        if (state.sort === 'featured' && a.featured !== b.featured) return a.featured ? -1 : 1;
+        return String(b.date || '').localeCompare(String(a.date || ''));
+      };
+
+      const apply = () => {
+        const byId = new Map($$('.card[data-project]', grid).map(card => [card.dataset.project, card]));
+        const visible = projects.filter(matches).sort(compare);
+        const shown = [];
+
+        // reorder visible cards first, hide the rest
+        visible.forEach((p) => {
+          const card = byId.get(p.id);
+          if (!card) return;
+          if (card.hidden) shown.push(card);
+          card.hidden = false;
+          grid.appendChild(card);
+        });
+        projects.filter(p => !visible.includes(p)).forEach((p) => {
+          const card = byId.get(p.id);
+          if (card) card.hidden = true;
+        });
+        observeReveal(shown);
+
+        if (chips) $$('.filter-chip', chips).forEach(c => c.setAttribute('aria-pressed', String(c.dataset.tag === state.tag)));
+        if (search && search.value !== state.q) search.value = state.q;
+        if (sort) sort.value = state.sort;
+        if (status) {
+          status.textContent = visible.length === 1 ? t('portfolio.countOne') : t('portfolio.countMany', { count: visible.length });
+        }
+      };
+
+      const update = (patch) => {
+        Object.assign(state, patch);
+        writeUrl();
+        apply();
+      };
+
+      grid.addEventListener('projects:rendered', (ev) => {
+        projects = (ev.detail && ev.detail.projects) || [];
+        readUrl();
+        renderChips();
+        apply();
+      });
+
+      if (chips) {
+        chips.addEventListener('click', (ev) => {
+          const chip = ev.target.closest && ev.target.closest('.filter-chip');
+          if (chip) update({ tag: chip.dataset.tag === state.tag ? '' : chip.dataset.tag });
+        });
+      }
+
+      if (search) {
+        let timer = null;
+        search.addEventListener('input', () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => update({ q: search.value }), 180);
+        });
+      }
+
+      if (sort) sort.addEventListener('change', () => update({ sort: sort.value }));
+
+      window.addEventListener('popstate', () => { readUrl(); apply(); });
     })();
 
     // -----------------------
-    // Modal (demo iframe)
+    // Dialog controller (#modal): focus trap, inert background, history entry.
+    // Reused by the demo iframe, project galleries and case studies.
     // -----------------------
-    (function setupModal() {
+    const dialog = (function createDialog() {
       const modal = nodes.modal;
-      if (!modal) return;
-      const modalTitle = nodes.modalTitle;
-      const modalContent = nodes.modalContent;
+      if (!modal) return null;
+      const card = $('.modal-card', modal) || modal;
+      const titleEl = nodes.modalTitle;
+      const content = nodes.modalContent;
       const openClass = 'open';
+      const FOCUSABLE = 'a[href], button:not([disabled]), iframe, input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
 
-      const openModal = (title, url) => {
-        if (!modal) return;
-        if (modalTitle) modalTitle.textContent = title || 'Projeto';
-        if (modalContent) modalContent.innerHTML = `<iframe src="${url}" style="width:100%;height:60vh;border:0;border-radius:8px"></iframe>`;
-        modal.classList.add(openClass);
-        modal.setAttribute('aria-hidden', 'false');
-        // trap focus minimally: focus close button if exists
-        if (nodes.modalClose) nodes.modalClose.focus();
+      let current = null; // { trigger, onClose, pushed, inerted }
+
+      const focusables = () => $$(FOCUSABLE, card).filter(el => !el.hidden && el.offsetParent !== null);
+
+      // make everything outside the dialog non-interactive
+      const setBackgroundInert = (on) => {
+        if (on) {
+          const siblings = Array.from(document.body.children).filter(el => el !== modal && el.tagName !== 'SCRIPT' && !el.inert);
+          siblings.forEach(el => { el.inert = true; el.setAttribute('aria-hidden', 'true'); });
+          return siblings;
+        }
+        (current.inerted || []).forEach(el => { el.inert = false; el.removeAttribute('aria-hidden'); });
+        return [];
+      };
+
+      const onKeydown = (e) => {
+        if (!current) return;
+        if (e.key === 'Escape') { e.preventDefault(); close(); return; }
+        if (e.key !== 'Tab') return;
+        const items = focusables();
+        if (!items.length) { e.preventDefault(); card.focus(); return; }
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !card.contains(document.activeElement))) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
       };
 
-      const closeModal = () => {
-        if (!modal) return;
+      const teardown = () => {
+        if (!current) return;
+        const { trigger, onClose } = current;
         modal.classList.remove(openClass);
         modal.setAttribute('aria-hidden', 'true');
-        if (modalContent) modalContent.innerHTML = 'Carregando…';
+        document.body.classList.remove('modal-open');
+        setBackgroundInert(false);
+        document.removeEventListener('keydown', onKeydown, true);
+        if (content) content.replaceChildren();
+        current = null;
+        if (typeof onClose === 'function') safe(onClose)();
+        if (trigger && typeof trigger.focus === 'function' && document.contains(trigger)) trigger.focus();
+      };
+
+      // Back button closes the dialog
+      window.addEventListener('popstate', () => { if (current && current.pushed) teardown(); });
+
+      /**
+       * open({ title, render(container), trigger, label, onClose })
+       * render receives the content node and builds it with DOM APIs.
+       */
+      const open = ({ title, render, trigger = document.activeElement, label, onClose } = {}) => {
+        if (current) teardown();
+        if (titleEl) titleEl.textContent = title || t('dialog.project');
+        if (label) card.setAttribute('aria-label', label);
+        else card.removeAttribute('aria-label');
+        if (content) {
+          content.replaceChildren();
+          if (typeof render === 'function') render(content);
+        }
+
+        current = { trigger, onClose, pushed: false, inerted: [] };
+        current.inerted = setBackgroundInert(true);
+        modal.classList.add(openClass);
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        document.addEventListener('keydown', onKeydown, true);
+
+        try {
+          history.pushState(Object.assign({}, history.state, { dialog: true }), '');
+          current.pushed = true;
+        } catch (err) {
+          current.pushed = false;
+        }
+
+        (nodes.modalClose || focusables()[0] || card).focus();
+      };
+
+      const close = () => {
+        if (!current) return;
+        // leave our history entry; popstate performs the teardown
+        if (current.pushed && history.state && history.state.dialog) history.back();
+        else teardown();
+      };
+
+      if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '-1');
+      if (nodes.modalClose) nodes.modalClose.addEventListener('click', close);
+      modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+
+      return { open, close, isOpen: () => Boolean(current) };
+    })();
+
+    // -----------------------
+    // Demo iframe (sandboxed) with loading state and an "open in new tab" link.
+    // Sites that refuse framing can't be told apart from slow ones, so the link is always shown.
+    // -----------------------
+    const toHttpUrl = (value) => {
+      try {
+        const url = new URL(value, location.href);
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+      } catch (err) {
+        return null;
+      }
+    };
+
+    const externalLink = (href, text) => {
+      const a = document.createElement('a');
+      a.className = 'glass-cta';
+      a.href = href;
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+      a.textContent = text;
+      return a;
+    };
+
+    const openDemo = (title, rawUrl, trigger) => {
+      const url = toHttpUrl(rawUrl);
+      if (!dialog || !url) return;
+
+      dialog.open({
+        title,
+        trigger,
+        render: (container) => {
+          const frameWrap = document.createElement('div');
+          frameWrap.className = 'modal-frame is-loading';
+
+          const status = document.createElement('p');
+          status.className = 'modal-status';
+          status.setAttribute('role', 'status');
+          status.textContent = t('dialog.loadingDemo');
+
+          const iframe = document.createElement('iframe');
+          iframe.title = t('dialog.frameTitle', { title: title || t('dialog.project') });
+          iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-forms allow-popups');
+          iframe.setAttribute('referrerpolicy', 'no-referrer');
+          iframe.setAttribute('loading', 'eager');
+          iframe.addEventListener('load', () => {
+            frameWrap.classList.remove('is-loading');
+            status.textContent = '';
+          });
+          iframe.src = url;
+
+          const actions = document.createElement('p');
+          actions.className = 'modal-actions small muted';
+          actions.append(`${t('dialog.notLoading')} `, externalLink(url, t('dialog.openNewTab')));
+
+          frameWrap.append(status, iframe);
+          container.append(frameWrap, actions);
+        }
+      });
+    };
+
+    // Image gallery for a project (click on the card cover)
+    const openGallery = (title, images, trigger, start = 0) => {
+      if (!dialog || !images || !images.length) return;
+      let index = start;
+
+      dialog.open({
+        title,
+        trigger,
+        label: t('dialog.gallery', { title }),
+        render: (container) => {
+          const figure = document.createElement('figure');
+          figure.className = 'modal-gallery';
+          const img = document.createElement('img');
+          const caption = document.createElement('figcaption');
+          caption.className = 'small muted';
+          figure.append(img, caption);
+          container.appendChild(figure);
+
+          const show = (i) => {
+            index = (i + images.length) % images.length;
+            img.src = images[index].src;
+            img.alt = i18n.localize(images[index].alt) || title;
+            caption.textContent = images.length > 1 ? `${index + 1} / ${images.length} — ${img.alt}` : img.alt;
+          };
+
+          if (images.length > 1) {
+            const nav = document.createElement('div');
+            nav.className = 'modal-actions';
+            [[t('dialog.previous'), -1], [t('dialog.next'), 1]].forEach(([text, step]) => {
+              const btn = document.createElement('button');
+              btn.type = 'button';
+              btn.className = 'glass-cta';
+              btn.textContent = text;
+              btn.addEventListener('click', () => show(index + step));
+              nav.appendChild(btn);
+            });
+            container.appendChild(nav);
+          }
+          show(index);
+        }
+      });
+    };
+
+    (function setupModalTriggers() {
+      const projectsById = new Map();
+      if (nodes.projectsGrid) {
+        nodes.projectsGrid.addEventListener('projects:rendered', (ev) => {
+          ((ev.detail && ev.detail.projects) || []).forEach(p => projectsById.set(p.id, p));
+        });
+      }
+
+      const openProjectGallery = (cover) => {
+        const project = projectsById.get(cover.parentElement.dataset.project);
+        if (project) openGallery(project.title, project.images, cover);
       };
 
-      // Attach demo buttons using delegation (in case of dynamic cards)
+      // delegation (cards are rendered dynamically)
       document.addEventListener('click', (ev) => {
-        const btn = ev.target.closest && ev.target.closest('.demo-btn');
+        const target = ev.target;
+        if (!target.closest) return;
+
+        const btn = target.closest('.demo-btn');
         if (btn) {
-          const url = btn.dataset.url;
+          ev.preventDefault();
           const card = btn.closest('.card');
           const title = card ? (card.querySelector('h4')?.textContent || '') : '';
-          if (url) openModal(title, url);
+          tracker.track('demo_open', { project: card && card.dataset.project ? card.dataset.project : undefined });
+          openDemo(title, btn.dataset.url, btn);
+          return;
         }
+
+        const cover = target.closest('.card[data-project] > img[data-gallery]');
+        if (cover) openProjectGallery(cover);
       });
 
-      // close handlers
-      if (nodes.modalClose) nodes.modalClose.addEventListener('click', closeModal);
-      modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
-      document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeModal(); });
+      document.addEventListener('keydown', (ev) => {
+        if (ev.key !== 'Enter' && ev.key !== ' ') return;
+        const cover = ev.target.closest && ev.target.closest('.card[data-project] > img[data-gallery]');
+        if (!cover) return;
+        ev.preventDefault();
+        openProjectGallery(cover);
+      });
     })();
 
     // -----------------------
@@ -175,63 +979,421 @@
     (function setupFormHandling() {
       const form = nodes.contactForm;
       const feedback = nodes.formFeedback;
+      const progress = nodes.formProgress;
       if (!form) return;
 
-      // validation helpers
-      const isRequired = (v) => v && v.trim().length > 0;
-      const isEmail = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+      // shared validation (js/contact-schema.js, also used by /api/contact)
+      const schema = window.ContactSchema;
+      const fieldNames = schema ? Object.keys(schema.fields) : ['name', 'email', 'message'];
+      const fileField = schema ? schema.attachments.field : 'attachments';
+      const errorNames = fieldNames.concat(fileField);
+      const fileInput = form.elements[fileField];
+      const selectedFiles = () => (fileInput && fileInput.files ? Array.from(fileInput.files) : []);
+
+      // inline per-field errors (<small class="field-error"> after each control)
+      const setFieldError = (name, msg) => {
+        const input = form.elements[name];
+        if (!input) return;
+        const id = `${input.id || name}-error`;
+        let hint = form.querySelector(`#${id}`);
+        if (!msg) {
+          input.removeAttribute('aria-invalid');
+          if (hint) hint.remove();
+          return;
+        }
+        if (!hint) {
+          hint = document.createElement('small');
+          hint.id = id;
+          hint.className = 'field-error';
+          input.insertAdjacentElement('afterend', hint);
+        }
+        hint.textContent = msg;
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', id);
+      };
+
+      const showErrors = (errors = {}) => {
+        errorNames.forEach(name => setFieldError(name, errors[name]));
+        const first = errorNames.find(name => errors[name]);
+        if (first && form.elements[first]) form.elements[first].focus();
+      };
+
+      // schema messages in the current language
+      const validationMessages = () => ['required', 'min', 'max', 'email', 'phone', 'enum', 'fileCount', 'fileSize', 'fileType']
+        .reduce((acc, key) => Object.assign(acc, { [key]: t(`validation.${key}`) }), {});
+
+      // attachments are checked as soon as they are picked (size/type/count; the server also sniffs the content)
+      const validateFiles = () => (schema ? schema.validateFiles(selectedFiles(), validationMessages()) : null);
+      if (fileInput) {
+        fileInput.addEventListener('change', () => setFieldError(fileField, validateFiles()));
+      }
+
+      // upload progress (only shown for submissions with attachments)
+      const setProgress = (percent) => {
+        if (!progress) return;
+        progress.hidden = percent === null;
+        progress.value = percent || 0;
+        if (percent !== null) setFeedback(t('form.uploading', { percent }), 'pending');
+      };
+
+      // multipart POST through XHR, which (unlike fetch) reports upload progress.
+      // Resolves with a fetch-like response; rejects on network failure.
+      const postWithProgress = (body) => new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', '/api/contact');
+        xhr.upload.addEventListener('progress', (ev) => {
+          if (ev.lengthComputable) setProgress(Math.round((ev.loaded / ev.total) * 100));
+        });
+        xhr.addEventListener('load', () => resolve({
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          headers: { get: name => xhr.getResponseHeader(name) },
+          json: async () => JSON.parse(xhr.responseText || '{}')
+        }));
+        xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+        xhr.addEventListener('abort', () => reject(new TypeError('Network request aborted')));
+        xhr.send(body);
+      });
+
+      // re-validate a field once the visitor edits it
+      if (schema) {
+        form.addEventListener('input', (ev) => {
+          const name = ev.target && ev.target.name;
+          if (!name || !ev.target.hasAttribute('aria-invalid')) return;
+          setFieldError(name, schema.validateField(name, ev.target.value, validationMessages()));
+        });
+      }
 
-      const setFeedback = (msg, ok = false) => {
+      // state classes (.is-success / .is-error) pick the colour from the theme
+      const setFeedback = (msg, state = 'error') => {
         if (!feedback) return;
-        feedback.style.color = ok ? '#9be7b5' : '#ffb4b4';
+        feedback.classList.toggle('is-success', state === 'success');
+        feedback.classList.toggle('is-error', state === 'error');
         feedback.textContent = msg;
       };
 
+      // signed timestamp token (anti-bot: minimum time-to-submit)
+      let submitToken = null;
+      const refreshToken = async () => {
+        try {
+          const res = await fetch('/api/contact', { method: 'GET', cache: 'no-store' });
+          const data = await res.json();
+          submitToken = data.token || null;
+        } catch (err) {
+          console.warn('Falha ao obter token do formulário:', err);
+        }
+      };
+      refreshToken();
+
+      // offline outbox (js/outbox.js): replayed by the service worker via
+      // Background Sync, or from here on the next load / when back online
+      const outbox = window.ContactOutbox && window.ContactOutbox.supported() ? window.ContactOutbox : null;
+      const canSync = 'serviceWorker' in navigator && 'SyncManager' in window;
+      const requestSync = () => navigator.serviceWorker.ready
+        .then(reg => reg.sync.register(outbox.SYNC_TAG))
+        .catch(err => console.warn('Background Sync indisponível:', err));
+
+      const queueOffline = async (payload) => {
+        if (!outbox) return false;
+        try {
+          await outbox.add(payload);
+        } catch (err) {
+          console.warn('Falha ao guardar mensagem na fila:', err);
+          return false;
+        }
+        if (canSync) requestSync();
+        return true;
+      };
+
+      const announceReplay = (result) => {
+        if (!result || !result.sent) return;
+        setFeedback(result.sent === 1 ? t('form.queuedSentOne') : t('form.queuedSentMany', { count: result.sent }), 'success');
+      };
+
+      let flushing = null;
+      const flushOutbox = () => {
+        if (!outbox || flushing || !navigator.onLine) return;
+        flushing = outbox.all()
+          .then((entries) => {
+            if (!entries.length) return null;
+            if (canSync) return requestSync();
+            return outbox.replay().then(announceReplay);
+          })
+          .catch(err => console.warn('Falha ao reenviar mensagens em fila:', err))
+          .finally(() => { flushing = null; });
+      };
+
+      if (outbox) {
+        i18n.ready.then(flushOutbox);
+        window.addEventListener('online', flushOutbox);
+      }
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (ev) => {
+          if (ev.data && ev.data.type === 'outbox:replayed') announceReplay(ev.data.result);
+        });
+      }
+
       form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
         // honeypot
         if (form.querySelector('[name=company]')?.value) {
-          setFeedback('Falha de validação.');
+          setFeedback(t('form.honeypot'));
           return;
         }
 
-        const name = (form.name?.value || '').trim();
-        const email = (form.email?.value || '').trim();
-        const message = (form.message?.value || '').trim();
+        const raw = {};
+        fieldNames.forEach((name) => { if (form.elements[name]) raw[name] = form.elements[name].value; });
+
+        const { valid, values, errors } = schema ? schema.validate(raw, validationMessages()) : { valid: true, values: raw, errors: {} };
+        const files = selectedFiles();
+        const fileError = files.length ? validateFiles() : null;
+        if (fileError) errors[fileField] = fileError;
+        showErrors(errors);
+        if (!valid || fileError) {
+          setFeedback(t('form.checkFields'));
+          tracker.track('form_submit', { label: 'invalid' });
+          return;
+        }
+
+        const payload = Object.assign({}, values, { locale: i18n.getLocale() });
+        const queued = async () => {
+          // the outbox only keeps JSON: files can't wait for the connection
+          if (files.length) {
+            setFeedback(t('form.offlineAttachments'));
+            return true;
+          }
+          if (!(await queueOffline(payload))) return false;
+          setFeedback(t('form.queued'), 'success');
+          tracker.track('form_submit', { label: 'queued' });
+          form.reset();
+          return true;
+        };
 
-        if (!isRequired(name) || name.length < 3) { setFeedback('Nome inválido (mín. 3 caracteres).'); return; }
-        if (!isEmail(email)) { setFeedback('Email inválido.'); return; }
-        if (!isRequired(message) || message.length < 10) { setFeedback('Mensagem muito curta (mín. 10 caracteres).'); return; }
+        // known to be offline: straight to the outbox
+        if (!navigator.onLine && await queued()) return;
 
         // submit state
         const submitBtn = form.querySelector('button[type="submit"]');
         const originalText = submitBtn?.innerHTML;
-        if (submitBtn) { submitBtn.disabled = true; submitBtn.innerHTML = 'Enviando…'; }
-        setFeedback('Enviando...');
+        if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = t('form.sending'); }
+        setFeedback(t('form.sending'), 'pending');
 
         try {
-          const res = await fetch('/api/contact', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, email, message })
-          });
+          let res;
+          try {
+            if (files.length) {
+              const body = new FormData();
+              Object.entries(payload).forEach(([key, value]) => body.append(key, value));
+              if (submitToken) body.append('token', submitToken);
+              files.forEach(file => body.append(fileField, file, file.name));
+              setProgress(0);
+              res = await postWithProgress(body);
+            } else {
+              res = await fetch('/api/contact', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.assign({}, payload, { token: submitToken }))
+              });
+            }
+          } catch (err) {
+            // network failure: keep the message for later
+            if (await queued()) return;
+            throw err;
+          }
           const data = await res.json();
+          tracker.track('form_submit', { label: res.ok && data.success ? (res.status === 202 ? 'received' : 'sent') : (res.status === 429 ? 'rate_limited' : 'rejected') });
           if (res.ok && data.success) {
-            setFeedback(data.message || 'Mensagem enviada. Obrigado!', true);
+            setFeedback(data.message || t('form.sent'), 'success');
             form.reset();
+            refreshToken();
+          } else if (res.status === 429) {
+            const wait = parseInt(res.headers.get('Retry-After') || '0', 10);
+            setFeedback((data.message || t('form.tooMany')) + (wait ? ` (${wait}s)` : ''));
           } else {
-            setFeedback(data.message || 'Erro ao enviar. Tente novamente.');
+            if (data.errors) showErrors(data.errors);
+            if (res.status === 400) refreshToken(); // token may have expired
+            setFeedback(data.message || t('form.error'));
           }
         } catch (err) {
           console.error('Erro envio form:', err);
-          setFeedback('Erro de conexão. Tente mais tarde.');
+          tracker.track('form_submit', { label: 'error' });
+          setFeedback(t('form.network'));
         } finally {
+          setProgress(null);
           if (submitBtn) { submitBtn.disabled = false; submitBtn.innerHTML = originalText; }
         }
       });
     })();
 
+    // -----------------------
+    // Booking: slot picker -> GET /api/availability, POST /api/book
+    // -----------------------
+    (function setupBooking() {
+      const root = $('#booking');
+      if (!root) return;
+      const intro = $('#booking-intro');
+      const daysEl = $('#booking-days');
+      const slotsEl = $('#booking-slots');
+      const form = $('#booking-form');
+      const selectedEl = $('#booking-selected');
+      const feedback = $('#booking-feedback');
+      const schema = window.ContactSchema;
+
+      // times are shown in the visitor's zone; the API speaks UTC
+      const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const localeTag = () => (i18n.getLocale() === 'en' ? 'en-GB' : 'pt-PT');
+      const dayKey = iso => new Date(iso).toLocaleDateString('en-CA'); // local YYYY-MM-DD
+      const formatDay = iso => new Date(iso).toLocaleDateString(localeTag(), { weekday: 'short', day: 'numeric', month: 'short' });
+      const formatTime = iso => new Date(iso).toLocaleTimeString(localeTag(), { hour: '2-digit', minute: '2-digit' });
+      const formatFull = iso => new Date(iso).toLocaleString(localeTag(), { dateStyle: 'full', timeStyle: 'short' });
+
+      let slots = [];
+      let activeDay = null;
+      let selected = null;
+      let state = 'loading';
+
+      const setFeedback = (msg, status = 'error') => {
+        feedback.classList.toggle('is-success', status === 'success');
+        feedback.classList.toggle('is-error', status === 'error');
+        feedback.textContent = msg;
+      };
+
+      const pressable = (label, pressed, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.setAttribute('aria-pressed', String(pressed));
+        btn.addEventListener('click', onClick);
+        return btn;
+      };
+
+      const render = () => {
+        intro.textContent = t('booking.intro', { zone });
+        daysEl.replaceChildren();
+        slotsEl.replaceChildren();
+        if (state !== 'ready') {
+          setFeedback(t(state === 'loading' ? 'booking.loading' : 'booking.unavailable'), state === 'loading' ? 'pending' : 'error');
+          return;
+        }
+        if (!slots.length) {
+          form.hidden = true;
+          setFeedback(t('booking.empty'), 'pending');
+          return;
+        }
+
+        const days = Array.from(new Set(slots.map(s => dayKey(s.start))));
+        if (!days.includes(activeDay)) activeDay = days[0];
+        days.forEach((day) => {
+          const first = slots.find(s => dayKey(s.start) === day);
+          daysEl.appendChild(pressable(formatDay(first.start), day === activeDay, () => {
+            activeDay = day;
+            render();
+          }));
+        });
+        slots.filter(s => dayKey(s.start) === activeDay).forEach((slot) => {
+          slotsEl.appendChild(pressable(formatTime(slot.start), Boolean(selected && selected.start === slot.start), () => {
+            selected = slot;
+            render();
+            form.elements.name.focus();
+          }));
+        });
+
+        form.hidden = !selected;
+        selectedEl.textContent = selected ? t('booking.selected', { when: formatFull(selected.start) }) : '';
+      };
+
+      const load = async () => {
+        state = 'loading';
+        render();
+        try {
+          const res = await fetch('/api/availability', { cache: 'no-store' });
+          // 503: booking is off on this deployment (no shared store), so don't offer it
+          if (res.status === 503) {
+            root.hidden = true;
+            return;
+          }
+          const data = await res.json();
+          if (!res.ok || !data.ok) throw new Error(data.message || `HTTP ${res.status}`);
+          slots = data.slots || [];
+          state = 'ready';
+          if (selected && !slots.some(s => s.start === selected.start)) selected = null;
+          setFeedback('', 'pending');
+        } catch (err) {
+          console.warn('Falha ao carregar horários:', err);
+          state = 'error';
+        }
+        render();
+      };
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!selected || form.elements.company.value) return;
+
+        const msgs = ['required', 'min', 'max', 'email']
+          .reduce((acc, key) => Object.assign(acc, { [key]: t(`validation.${key}`) }), {});
+        const invalid = schema && ['name', 'email']
+          .map(name => schema.validateField(name, form.elements[name].value, msgs))
+          .find(Boolean);
+        if (invalid) {
+          setFeedback(invalid);
+          return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        setFeedback(t('booking.sending'), 'pending');
+        try {
+          const res = await fetch('/api/book', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              start: selected.start,
+              name: form.elements.name.value,
+              email: form.elements.email.value,
+              note: form.elements.note.value,
+              timeZone: zone,
+              locale: i18n.getLocale()
+            })
+          });
+          const data = await res.json();
+          if (res.ok && data.success) {
+            form.reset();
+            selected = null;
+            await load();
+            setFeedback(data.message, 'success');
+            return;
+          }
+          setFeedback(data.message || t('form.error'));
+          // slot gone (taken meanwhile or outside the window): show fresh availability
+          if (res.status === 409 || res.status === 400) {
+            const message = feedback.textContent;
+            await load();
+            setFeedback(message);
+          }
+        } catch (err) {
+          console.error('Erro ao marcar chamada:', err);
+          setFeedback(t('form.network'));
+        } finally {
+          submitBtn.disabled = false;
+        }
+      });
+
+      document.addEventListener('i18n:change', render);
+
+      // load the slots when the section gets close to the viewport
+      if ('IntersectionObserver' in window) {
+        const io = new IntersectionObserver((entries) => {
+          if (!entries.some(en => en.isIntersecting)) return;
+          io.disconnect();
+          i18n.ready.then(load);
+        }, { rootMargin: '200px' });
+        io.observe(root);
+      } else {
+        i18n.ready.then(load);
+      }
+    })();
+
     // -----------------------
     // Copy Email + Scroll-to-form + Toast
     // -----------------------
@@ -266,14 +1428,15 @@
         copyBtn.addEventListener('click', async () => {
           try {
             await copyText(copyInput.value);
+            tracker.track('copy_email');
             // temporário feedback: ícone -> check
             const original = copyBtn.innerHTML;
             copyBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-            showToast(toast, 'Email copiado para a área de transferência ✔', 1800);
+            showToast(toast, t('contact.copied'), 1800);
             setTimeout(() => { if (window.feather) feather.replace(); copyBtn.innerHTML = original; }, 1800);
           } catch (err) {
             console.error('Copy failed', err);
-            showToast(toast, 'Falha ao copiar. Use Ctrl+C.');
+            showToast(toast, t('contact.copyFailed'));
           }
         });
       }
@@ -282,7 +1445,7 @@
       if (formAnchor && contactForm) {
         formAnchor.addEventListener('click', (e) => {
           e.preventDefault();
-          contactForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          contactForm.scrollIntoView({ behavior: motion.scrollBehavior(), block: 'center' });
           setTimeout(() => {
             const firstField = contactForm.querySelector('input, textarea');
             if (firstField) firstField.focus();
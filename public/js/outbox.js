@@ -0,0 +1,103 @@
+/**
+ * Contact outbox — submissions made while offline are kept in IndexedDB and
+ * replayed to /api/contact later. Shared by the page (window.ContactOutbox)
+ * and the service worker (importScripts('/js/outbox.js')).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ContactOutbox = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DB_NAME = 'portfolio';
+  const STORE = 'contact-outbox';
+  const SYNC_TAG = 'contact-outbox';
+  const ENDPOINT = '/api/contact';
+  const MAX_ATTEMPTS = 5;
+  // the API rejects tokens younger than its minimum time-to-submit (3s by default)
+  const TOKEN_WAIT_MS = 3500;
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const supported = () => typeof indexedDB !== 'undefined';
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // run fn(store) in one transaction; resolves with the request result (if any)
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  const add = (payload) => withStore('readwrite', s => s.add({ payload, queuedAt: Date.now(), attempts: 0 }));
+  const all = () => withStore('readonly', s => s.getAll());
+  const remove = (id) => withStore('readwrite', s => s.delete(id));
+  const put = (entry) => withStore('readwrite', s => s.put(entry));
+
+  /**
+   * Send every queued message with a fresh submit token.
+   * Sent and permanently rejected (4xx) entries are removed; network errors,
+   * 429 and 5xx stay queued until MAX_ATTEMPTS. Resolves { sent, dropped, remaining }.
+   */
+  async function replay(fetchImpl) {
+    const doFetch = fetchImpl || fetch;
+    const entries = supported() ? await all() : [];
+    const result = { sent: 0, dropped: 0, remaining: 0 };
+    if (!entries.length) return result;
+
+    let token = null;
+    try {
+      const res = await doFetch(ENDPOINT, { method: 'GET', cache: 'no-store' });
+      token = (await res.json()).token || null;
+    } catch (err) {
+      result.remaining = entries.length;
+      return result;
+    }
+    await delay(TOKEN_WAIT_MS);
+
+    for (const entry of entries) {
+      let status = 0;
+      try {
+        const res = await doFetch(ENDPOINT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.assign({}, entry.payload, { token }))
+        });
+        status = res.status;
+      } catch (err) {
+        status = 0;
+      }
+
+      if (status >= 200 && status < 300) {
+        result.sent += 1;
+        await remove(entry.id);
+      } else if ((status >= 400 && status < 500 && status !== 429) || entry.attempts + 1 >= MAX_ATTEMPTS) {
+        result.dropped += 1;
+        await remove(entry.id);
+      } else {
+        result.remaining += 1;
+        await put(Object.assign({}, entry, { attempts: entry.attempts + 1 }));
+      }
+    }
+    return result;
+  }
+
+  return { SYNC_TAG, supported, add, all, remove, replay };
+});
@@ -0,0 +1,72 @@
+/**
+ * Résumé helpers — shared by the browser (window.Resume) and /api/cv
+ * (require('../public/js/resume')). The source is public/data/resume.json:
+ * JSON Resume (https://jsonresume.org/schema) where any text may be localised as
+ * { "pt": "...", "en": "..." }, like the project catalogue.
+ * Keep it dependency-free and ES2017 so both sides can load it as-is.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Resume = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LOCALES = ['pt', 'en'];
+  const DEFAULT_LOCALE = 'pt';
+  const CV_API = '/api/cv';
+
+  const isLocalized = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(k => LOCALES.includes(k));
+
+  // Plain JSON Resume in `locale`: every { pt, en } value becomes a string
+  function localize(value, locale) {
+    if (Array.isArray(value)) return value.map(v => localize(v, locale));
+    if (isLocalized(value)) return value[locale] || value[DEFAULT_LOCALE] || Object.values(value)[0];
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    Object.keys(value).forEach((key) => { out[key] = localize(value[key], locale); });
+    return out;
+  }
+
+  // "/api/cv?format=pdf&lang=en"
+  function cvUrl(format, locale) {
+    return `${CV_API}?format=${encodeURIComponent(format)}&lang=${encodeURIComponent(locale)}`;
+  }
+
+  // "cv-estandar-mustaq-en.pdf"
+  function filename(resume, locale, ext) {
+    const name = String((resume.basics && resume.basics.name) || 'cv')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `cv-${name}-${locale}.${ext}`;
+  }
+
+  /**
+   * schema.org Person for the page's JSON-LD, from a localised résumé.
+   */
+  function toJsonLd(resume, locale) {
+    const basics = resume.basics || {};
+    const location = basics.location || {};
+    const person = {
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: basics.name,
+      jobTitle: basics.label,
+      description: basics.summary,
+      url: basics.url,
+      image: basics.image,
+      email: basics.email ? `mailto:${basics.email}` : undefined,
+      sameAs: (basics.profiles || []).map(p => p.url).filter(Boolean),
+      knowsAbout: (resume.skills || []).reduce((all, s) => all.concat(s.keywords || []), []),
+      knowsLanguage: (resume.languages || []).map(l => l.language).filter(Boolean)
+    };
+    if (location.city || location.countryCode) {
+      person.address = { '@type': 'PostalAddress', addressLocality: location.city, addressCountry: location.countryCode };
+    }
+    if (basics.url && locale) person.subjectOf = { '@type': 'DigitalDocument', encodingFormat: 'application/pdf', url: new URL(cvUrl('pdf', locale), basics.url).href };
+    // JSON.stringify drops the undefined fields
+    return JSON.parse(JSON.stringify(person));
+  }
+
+  return { LOCALES, DEFAULT_LOCALE, localize, cvUrl, filename, toJsonLd };
+});
@@ -0,0 +1,12 @@
+/* Applies the saved (or system) theme before the first paint, so the page never
+   flashes the wrong palette. Loaded blocking in <head>; the toggle lives in main.js. */
+(function () {
+  'use strict';
+  var THEMES = ['light', 'dark', 'contrast'];
+  var saved = null;
+  try { saved = localStorage.getItem('theme'); } catch (err) { /* storage disabled */ }
+  var matches = function (query) { return !!(window.matchMedia && window.matchMedia(query).matches); };
+  document.documentElement.dataset.theme = THEMES.indexOf(saved) !== -1 ? saved
+    : matches('(prefers-contrast: more)') ? 'contrast'
+      : matches('(prefers-color-scheme: light)') ? 'light' : 'dark';
+})();
@@ -0,0 +1,117 @@
+/* Service worker: precached app shell + offline contact outbox.
+   Bump CACHE_VERSION whenever a precached file changes; activate() drops older caches. */
+'use strict';
+
+importScripts('/js/outbox.js');
+
+const CACHE_VERSION = 'v14';
+const CACHE_PREFIX = 'portfolio-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/css/style.css',
+  '/js/main.js',
+  '/js/theme-init.js',
+  '/js/contact-schema.js',
+  '/js/outbox.js',
+  '/js/resume.js',
+  '/js/feather.min.js',
+  '/i18n/pt.json',
+  '/i18n/en.json',
+  '/manifest.webmanifest'
+];
+
+// Nice to have offline, but one missing file must not stop the worker installing
+const OPTIONAL_URLS = [
+  '/data/projects.json',
+  '/data/resume.json',
+  '/api/cv?format=pdf&lang=pt',
+  '/api/cv?format=pdf&lang=en',
+  '/img/hero-animations.json',
+  '/img/logo-icons0.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS)
+        .then(() => Promise.allSettled(OPTIONAL_URLS.map(url => cache.add(url)))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// pages: network first, cached shell when offline
+async function handleNavigation(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    return (await caches.match(request)) || caches.match('/index.html');
+  }
+}
+
+// static assets: cached copy straight away, refreshed in the background
+async function staleWhileRevalidate(event, matchOptions) {
+  const cached = await caches.match(event.request, matchOptions);
+  const network = fetch(event.request)
+    .then(async (res) => {
+      if (res.ok) {
+        const cache = await caches.open(cached ? PRECACHE : RUNTIME);
+        await cache.put(event.request, res.clone());
+      }
+      return res;
+    });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // the CV works offline like a static file; with format and lang in the URL, Vary can be ignored
+  if (url.pathname === '/api/cv' && url.searchParams.has('format') && url.searchParams.has('lang')) {
+    event.respondWith(staleWhileRevalidate(event, { ignoreVary: true }));
+    return;
+  }
+  // other APIs always go to the network
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') event.respondWith(handleNavigation(request));
+  else event.respondWith(staleWhileRevalidate(event));
+});
+
+// Background Sync: replay queued contact messages, then tell open pages
+self.addEventListener('sync', (event) => {
+  if (event.tag !== ContactOutbox.SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const result = await ContactOutbox.replay();
+    if (result.sent || result.dropped) {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach(client => client.postMessage({ type: 'outbox:replayed', result }));
+    }
+    // a rejected promise makes the browser retry the sync later
+    if (result.remaining) throw new Error('Mensagens ainda em fila');
+  })());
+});
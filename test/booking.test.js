@@ -0,0 +1,146 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSmtpCapture } = require('./helpers/smtp-capture');
+
+let smtp;
+let server;
+
+before(async () => {
+  smtp = await startSmtpCapture();
+  const everyDay = ['09:00-12:00', '14:00-17:00'];
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    SMTP_USER: 'portfolio@example.com',
+    SMTP_PASS: 'secret',
+    TO_EMAIL: 'owner@example.com',
+    STORE_DRIVER: 'memory',
+    BOOKING_TIMEZONE: 'Africa/Maputo',
+    BOOKING_SCHEDULE: JSON.stringify({ sun: everyDay, mon: everyDay, tue: everyDay, wed: everyDay, thu: everyDay, fri: everyDay, sat: everyDay }),
+    BOOKING_DAYS_AHEAD: '3',
+    BOOKING_MIN_NOTICE_HOURS: '0',
+    BOOKING_IP_LIMIT: '10',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+  await smtp.close();
+});
+
+test('slots follow the weekly schedule in the configured time zone', () => {
+  const { scheduleSlots, parseSchedule } = require('../lib/booking');
+  const cfg = {
+    timeZone: 'America/New_York',
+    schedule: parseSchedule(JSON.stringify({ mon: ['09:00-10:00'] })),
+    blockedDates: new Set(['2026-03-16']),
+    slotMinutes: 30,
+    daysAhead: 14,
+    minNoticeMs: 0
+  };
+  // Friday 6 March 2026: the next Monday is before the DST switch, the one after is past it
+  const slots = scheduleSlots(Date.parse('2026-03-06T12:00:00Z'), cfg);
+  assert.deepEqual(slots.map(s => s.start), [
+    '2026-03-09T13:00:00.000Z',
+    '2026-03-09T13:30:00.000Z'
+  ]);
+
+  cfg.blockedDates = new Set();
+  const later = scheduleSlots(Date.parse('2026-03-06T12:00:00Z'), cfg).map(s => s.start);
+  assert.ok(later.includes('2026-03-16T13:00:00.000Z'), 'EDT: 09:00 is 13:00 UTC');
+  assert.ok(!later.includes('2026-03-16T14:00:00.000Z'));
+});
+
+test('GET /api/availability lists open slots', async () => {
+  const res = await server.request('/api/availability');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.timezone, 'Africa/Maputo');
+  assert.ok(res.body.slots.length > 0);
+  assert.ok(res.body.slots.every(s => Date.parse(s.start) > Date.now()));
+});
+
+test('booking a slot emails an invite to both parties and blocks the slot', async () => {
+  const { body: { slots } } = await server.request('/api/availability');
+  const slot = slots[0];
+  const before = smtp.messages.length;
+
+  const res = await server.request('/api/book', {
+    method: 'POST',
+    body: { start: slot.start, name: 'Ana Silva', email: 'ana@example.com', timeZone: 'Europe/Lisbon', locale: 'pt' }
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.booking.start, slot.start);
+
+  const sent = smtp.messages.slice(before);
+  assert.deepEqual(sent.map(m => m.to[0]).sort(), ['ana@example.com', 'owner@example.com']);
+  sent.forEach((mail) => {
+    assert.match(mail.raw, /Content-Type: text\/calendar; charset=utf-8; method=REQUEST/);
+    assert.match(mail.raw, /BEGIN:VCALENDAR/);
+  });
+
+  const again = await server.request('/api/book', {
+    method: 'POST',
+    body: { start: slot.start, name: 'Rui Costa', email: 'rui@example.com' }
+  });
+  assert.equal(again.status, 409);
+
+  const after = await server.request('/api/availability');
+  assert.ok(!after.body.slots.some(s => s.start === slot.start));
+});
+
+test('the visitor copy carries neither the note nor links from the name', async () => {
+  const { body: { slots } } = await server.request('/api/availability');
+  const before = smtp.messages.length;
+
+  const res = await server.request('/api/book', {
+    method: 'POST',
+    body: { start: slots[0].start, name: 'Ana phish.example', email: 'ana5@example.com', note: 'Ganhou! https://phish.example/premio', locale: 'pt' }
+  });
+  assert.equal(res.status, 201);
+
+  const sent = smtp.messages.slice(before);
+  const guest = sent.find(m => m.to[0] === 'ana5@example.com');
+  const owner = sent.find(m => m.to[0] === 'owner@example.com');
+  assert.doesNotMatch(guest.raw, /phish|premio|Ganhou/);
+  assert.match(guest.raw, /Ol=C3=A1 Ana,|Olá Ana,/);
+  assert.match(owner.raw, /premio/);
+});
+
+test('invite text escapes every kind of line break', () => {
+  const { escapeText } = require('../lib/ics');
+  assert.equal(escapeText('a\r\nb\rc\nd; e, f\\'), 'a\\nb\\nc\\nd\\; e\\, f\\\\');
+});
+
+test('slots outside the schedule are rejected', async () => {
+  const res = await server.request('/api/book', {
+    method: 'POST',
+    body: { start: '2020-01-01T03:00:00Z', name: 'Ana Silva', email: 'ana2@example.com' }
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+});
+
+test('on Vercel a per-instance store refuses bookings instead of risking a double booking', async () => {
+  process.env.VERCEL = '1';
+  try {
+    const availability = await server.request('/api/availability');
+    assert.equal(availability.status, 503);
+
+    const res = await server.request('/api/book', {
+      method: 'POST',
+      headers: { 'accept-language': 'en' },
+      body: { start: '2020-01-01T03:00:00Z', name: 'Ana Silva', email: 'ana3@example.com' }
+    });
+    assert.equal(res.status, 503);
+    assert.match(res.body.message, /Booking is unavailable/);
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let server;
+
+before(async () => {
+  process.env.LOG_LEVEL = 'silent';
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('front-matter and Markdown are parsed into an entry', () => {
+  const { parseCaseStudy } = require('../lib/case-studies');
+  const entry = parseCaseStudy('demo', [
+    '---',
+    'title: "Demo: um projeto"',
+    'date: 2025-01-10',
+    'tags:',
+    '  - Node',
+    '  - CMS',
+    'project: aurora # card id',
+    '---',
+    '',
+    '## O problema',
+    '',
+    'Texto com **negrito**, `código` e <script>alert(1)</script>.',
+    '',
+    '[mau](javascript:alert(1))'
+  ].join('\n'));
+
+  assert.equal(entry.title, 'Demo: um projeto');
+  assert.deepEqual(entry.tags, ['Node', 'CMS']);
+  assert.equal(entry.project, 'aurora');
+  assert.equal(entry.url, '/case-studies/demo');
+  assert.match(entry.summary, /^Texto com negrito/);
+  assert.match(entry.html, /<h2 id="o-problema">O problema<\/h2>/);
+  assert.match(entry.html, /<strong>negrito<\/strong>, <code>código<\/code> e &lt;script&gt;/);
+  assert.doesNotMatch(entry.html, /javascript:/);
+  assert.equal(parseCaseStudy('no-date', '---\ntitle: Sem data\n---\nTexto'), null);
+});
+
+test('a case study renders as an HTML page with Open Graph tags', async () => {
+  const res = await server.request('/case-studies/auroranews');
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/html/);
+  assert.match(res.headers.get('content-security-policy'), /style-src 'self'/);
+  assert.match(res.body, /<meta property="og:type" content="article">/);
+  assert.match(res.body, /<meta property="og:url" content="https:\/\/estandarmustaq\.vercel\.app\/case-studies\/auroranews">/);
+  assert.match(res.body, /<meta property="og:image" content="https:\/\/estandarmustaq\.vercel\.app\/img\/imgForAuroraNewsProject\.png">/);
+  assert.match(res.body, /<meta property="article:tag" content="CMS">/);
+  assert.match(res.body, /<link rel="canonical" href="https:\/\/estandarmustaq\.vercel\.app\/case-studies\/auroranews">/);
+  // links of the related portfolio card
+  assert.match(res.body, /href="https:\/\/auroranews\.vercel\.app"/);
+});
+
+test('unknown case studies get an HTML 404 page', async () => {
+  const res = await server.request('/case-studies/does-not-exist', { headers: { 'accept-language': 'en' } });
+  assert.equal(res.status, 404);
+  assert.match(res.headers.get('content-type'), /^text\/html/);
+  assert.match(res.body, /<html lang="en">/);
+  assert.match(res.body, /<meta name="robots" content="noindex">/);
+  assert.match(res.body, /<a href="\/case-studies">/);
+});
+
+test('template tags inside code samples are shown as written', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-studies-'));
+  fs.writeFileSync(path.join(dir, 'templating.md'), [
+    '---',
+    'title: Templates',
+    'date: 2025-02-01',
+    '---',
+    'Vue usa `{{ title }}` e o Handlebars `{{{html}}}`.',
+    '',
+    '```vue',
+    '<h1>{{ title }}</h1>',
+    '{{#items}}<li>{{.}}</li>{{/items}}',
+    '```'
+  ].join('\n'));
+  process.env.CASE_STUDIES_DIR = dir;
+  try {
+    const res = await server.request('/case-studies/templating');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<code>\{\{ title \}\}<\/code> e o Handlebars <code>\{\{\{html\}\}\}<\/code>/);
+    assert.match(res.body, /<code class="language-vue">&lt;h1&gt;\{\{ title \}\}&lt;\/h1&gt;\n\{\{#items\}\}&lt;li&gt;\{\{\.\}\}&lt;\/li&gt;\{\{\/items\}\}<\/code>/);
+  } finally {
+    delete process.env.CASE_STUDIES_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the index lists the entries newest first', async () => {
+  const res = await server.request('/case-studies', { headers: { 'accept-language': 'en' } });
+
+  assert.equal(res.status, 200);
+  assert.match(res.body, /<html lang="en">/);
+  assert.ok(res.body.indexOf('/case-studies/vortexa-ai') < res.body.indexOf('/case-studies/auroranews'));
+});
+
+test('sitemap.xml and rss.xml cover every case study', async () => {
+  const sitemap = await server.request('/sitemap.xml');
+  assert.equal(sitemap.status, 200);
+  assert.match(sitemap.headers.get('content-type'), /^application\/xml/);
+  assert.match(sitemap.body, /<loc>https:\/\/estandarmustaq\.vercel\.app\/case-studies\/auroranews<\/loc>\n {4}<lastmod>2024-11-20<\/lastmod>/);
+  assert.doesNotMatch(sitemap.body, /\/api\//);
+
+  const feed = await server.request('/rss.xml');
+  assert.equal(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^application\/rss\+xml/);
+  assert.equal((feed.body.match(/<item>/g) || []).length, 2);
+  assert.match(feed.body, /<pubDate>Wed, 20 Nov 2024 00:00:00 GMT<\/pubDate>/);
+});
+
+test('feed items carry absolute links and escaped content', () => {
+  const { parseCaseStudy, rssXml } = require('../lib/case-studies');
+  const entry = parseCaseStudy('demo', '---\ntitle: Demo\ndate: 2025-01-10\ncover: /img/a.png\n---\n![Capa](/img/a.png)\n\n`]]>` [site](/#contacto)');
+  const xml = rssXml([entry], { title: 'T', description: 'D' });
+
+  assert.match(xml, /<img src="https:\/\/estandarmustaq\.vercel\.app\/img\/a\.png"/);
+  assert.match(xml, /<a href="https:\/\/estandarmustaq\.vercel\.app\/#contacto">/);
+  assert.match(xml, /<enclosure url="https:\/\/estandarmustaq\.vercel\.app\/img\/a\.png" type="image\/png" length="0"\/>/);
+  assert.match(xml, /<code>]]&gt;<\/code>/);
+});
+
+test('project cards get a link to their case study', async () => {
+  const res = await server.request('/api/projects?id=aurora');
+  assert.equal(res.body.projects[0].caseStudyUrl, '/case-studies/auroranews');
+});
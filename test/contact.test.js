@@ -0,0 +1,202 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSmtpCapture } = require('./helpers/smtp-capture');
+
+let smtp;
+let server;
+
+before(async () => {
+  smtp = await startSmtpCapture();
+  // env is read when the modules load, so set it before the dev server requires them
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    SMTP_USER: 'portfolio@example.com',
+    SMTP_PASS: 'secret',
+    TO_EMAIL: 'owner@example.com',
+    STORE_DRIVER: 'memory',
+    MESSAGES_DRIVER: 'memory',
+    EVENTS_DRIVER: 'memory',
+    CONTACT_MIN_SUBMIT_MS: '0',
+    CONTACT_IP_LIMIT: '20',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+  await smtp.close();
+});
+
+async function getToken() {
+  const res = await server.request('/api/contact');
+  assert.equal(res.status, 200);
+  return res.body.token;
+}
+
+test('GET /api/contact returns a submit token', async () => {
+  const res = await server.request('/api/contact');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(typeof res.body.token, 'string');
+  assert.ok(res.headers.get('x-request-id'));
+  assert.equal(res.headers.get('cache-control'), 'no-store');
+});
+
+test('a valid submission is stored and emailed to the owner', async () => {
+  const before = smtp.messages.length;
+  const res = await server.request('/api/contact', {
+    method: 'POST',
+    body: {
+      name: 'Ana Silva',
+      email: 'ana@example.com',
+      message: 'Olá! Gostaria de falar sobre um projeto.',
+      locale: 'pt',
+      token: await getToken()
+    }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(smtp.messages.length, before + 1);
+  const mail = smtp.messages[smtp.messages.length - 1];
+  assert.deepEqual(mail.to, ['owner@example.com']);
+  assert.match(mail.raw, /Ana Silva/);
+});
+
+test('invalid fields are rejected with per-field errors', async () => {
+  const res = await server.request('/api/contact', {
+    method: 'POST',
+    body: { name: '', email: 'not-an-email', message: 'hi', token: await getToken() }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.error, 'bad_request');
+  assert.ok(res.body.errors.email);
+});
+
+test('the honeypot field blocks the submission without sending mail', async () => {
+  const before = smtp.messages.length;
+  const res = await server.request('/api/contact', {
+    method: 'POST',
+    body: {
+      name: 'Bot',
+      email: 'bot@example.com',
+      message: 'Buy now, limited offer for you',
+      company: 'ACME',
+      token: await getToken()
+    }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(smtp.messages.length, before);
+});
+
+test('high spam scores are rejected without sending mail', async () => {
+  const before = smtp.messages.length;
+  const res = await server.request('/api/contact', {
+    method: 'POST',
+    body: {
+      name: 'SEO Team',
+      email: 'offers@mailinator.com',
+      message: 'We offer backlinks and guest post deals: http://a.example http://b.example http://c.example',
+      token: await getToken()
+    }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(smtp.messages.length, before);
+});
+
+test('medium spam scores are delivered with a [SPAM?] subject', async () => {
+  const before = smtp.messages.length;
+  const res = await server.request('/api/contact', {
+    method: 'POST',
+    body: {
+      name: 'Rui Costa',
+      email: 'rui@example.com',
+      message: 'Tenho uma proposta de lead generation para si, click here para saber mais.',
+      token: await getToken()
+    }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(smtp.messages.length, before + 1);
+  // "[SPAM?] " as an encoded word
+  assert.match(smtp.messages[smtp.messages.length - 1].raw, /^Subject: =\?UTF-8\?Q\?=5BSPAM=3F=5D_/m);
+});
+
+test('invalid JSON gets a 400 envelope', async () => {
+  const res = await server.request('/api/contact', { method: 'POST', body: '{"name":' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.error, 'bad_request');
+});
+
+function contactForm(fields, files) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  files.forEach(({ name, type, data }) => form.append('attachments', new Blob([data], { type }), name));
+  return form;
+}
+
+async function postForm(form) {
+  const res = await fetch(`${server.url}/api/contact`, { method: 'POST', body: form });
+  return { status: res.status, body: await res.json() };
+}
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(64, 0x20), Buffer.from('\n%%EOF\n')]);
+
+test('multipart submissions carry attachments next to the inline logo', async () => {
+  const before = smtp.messages.length;
+  const res = await postForm(contactForm({
+    name: 'Rui Costa',
+    email: 'rui@example.com',
+    message: 'Segue em anexo o briefing do projecto.',
+    token: await getToken()
+  }, [{ name: '../../brief.pdf', type: 'application/pdf', data: PDF }]));
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(smtp.messages.length, before + 1);
+  const raw = smtp.messages[smtp.messages.length - 1].raw;
+  assert.match(raw, /Content-Type: application\/pdf; name=brief\.pdf/);
+  assert.match(raw, /Content-Disposition: attachment; filename=brief\.pdf/);
+});
+
+test('disguised files are rejected by their magic bytes', async () => {
+  const before = smtp.messages.length;
+  const res = await postForm(contactForm({
+    name: 'Rui Costa',
+    email: 'rui@example.com',
+    message: 'Isto parece um PDF mas não é.',
+    token: await getToken()
+  }, [{ name: 'invoice.pdf', type: 'application/pdf', data: Buffer.from('MZ\x90\x00 this is an executable') }]));
+
+  assert.equal(res.status, 400);
+  assert.ok(res.body.errors.attachments);
+  assert.equal(smtp.messages.length, before);
+});
+
+test('oversized uploads are refused with 413', async () => {
+  const big = Buffer.concat([PDF, Buffer.alloc(5 * 1024 * 1024)]);
+  const res = await postForm(contactForm({ name: 'Rui Costa', email: 'rui@example.com', message: 'Ficheiro enorme.' }, [
+    { name: 'huge.pdf', type: 'application/pdf', data: big }
+  ]));
+
+  assert.equal(res.status, 413);
+  assert.equal(res.body.ok, false);
+});
+
+test('unsupported methods get 405 with an Allow header', async () => {
+  const res = await server.request('/api/contact', { method: 'DELETE' });
+  assert.equal(res.status, 405);
+  assert.equal(res.body.error, 'method_not_allowed');
+  assert.equal(res.headers.get('allow'), 'GET,POST,OPTIONS');
+});
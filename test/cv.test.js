@@ -0,0 +1,116 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let server;
+
+before(async () => {
+  process.env.LOG_LEVEL = 'silent';
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('the résumé is localised into plain JSON Resume', async () => {
+  const res = await server.request('/api/cv?lang=en', { headers: { accept: 'application/json' } });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/json/);
+  assert.equal(res.headers.get('content-language'), 'en');
+  assert.match(res.headers.get('vary'), /Accept-Language/);
+  assert.equal(res.body.basics.label, 'Web Developer, UI/UX Designer');
+  assert.equal(res.body.meta.language, 'en');
+  // no { pt, en } objects left anywhere
+  assert.doesNotMatch(JSON.stringify(res.body), /"pt":/);
+});
+
+test('the format is negotiated from Accept, the language from Accept-Language', async () => {
+  const html = await server.request('/api/cv', { headers: { accept: 'text/html,*/*;q=0.8', 'accept-language': 'pt-PT,pt;q=0.9' } });
+  assert.equal(html.status, 200);
+  assert.match(html.headers.get('content-type'), /^text\/html/);
+  assert.match(html.body, /<html lang="pt">/);
+  assert.match(html.body, /<h2>Experiência<\/h2>/);
+  assert.match(html.body, /"@type":"Person"/);
+  assert.match(html.headers.get('content-security-policy'), /style-src 'unsafe-inline'/);
+
+  const pdf = await server.request('/api/cv', { headers: { accept: 'application/pdf', 'accept-language': 'en' } });
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.match(pdf.headers.get('content-disposition'), /^inline; filename="cv-estandar-mustaq-en\.pdf"$/);
+  assert.ok(pdf.body.startsWith('%PDF-1.4'));
+  assert.match(pdf.body, /%%EOF\n$/);
+
+  const unsupported = await server.request('/api/cv', { headers: { accept: 'image/png' } });
+  assert.equal(unsupported.status, 406);
+  assert.equal(unsupported.body.error, 'not_acceptable');
+});
+
+test('?format and ?download override the negotiation', async () => {
+  const res = await server.request('/api/cv?format=pdf&lang=pt&download=1', { headers: { accept: 'text/html' } });
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(res.headers.get('content-disposition'), /^attachment; filename="cv-estandar-mustaq-pt\.pdf"$/);
+
+  const bad = await server.request('/api/cv?format=docx');
+  assert.equal(bad.status, 400);
+});
+
+test('the hand-made PDF in public/cv is served for its language, the generated one otherwise', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const pdf = async (lang) => Buffer.from(await (await fetch(`${server.url}/api/cv?format=pdf&lang=${lang}`)).arrayBuffer());
+
+  const designed = fs.readFileSync(path.join(__dirname, '..', 'public', 'cv', 'cv-estandarmustaq.pdf'));
+  assert.ok((await pdf('pt')).equals(designed));
+  assert.match((await pdf('en')).toString('latin1', 0, 8), /^%PDF-1\.4/);
+
+  // the old static URL keeps working
+  const legacy = await fetch(`${server.url}/cv/cv-estandarmustaq.pdf`);
+  assert.equal(legacy.status, 200);
+  assert.ok(Buffer.from(await legacy.arrayBuffer()).equals(designed));
+
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-'));
+  process.env.CV_PDF_DIR = empty;
+  try {
+    assert.match((await pdf('pt')).toString('latin1', 0, 8), /^%PDF-1\.4/);
+  } finally {
+    delete process.env.CV_PDF_DIR;
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('the page JSON-LD comes from the same data', () => {
+  const Resume = require('../public/js/resume');
+  const ld = Resume.toJsonLd(Resume.localize(require('../public/data/resume.json'), 'pt'), 'pt');
+
+  assert.equal(ld['@type'], 'Person');
+  assert.equal(ld.jobTitle, 'Desenvolvedor Web, UI/UX Designer');
+  assert.ok(ld.sameAs.includes('https://github.com/EstandarMustaq'));
+  assert.equal(ld.subjectOf.url, 'https://estandarmustaq.vercel.app/api/cv?format=pdf&lang=pt');
+});
+
+test('the PDF writer wraps lines and keeps a valid xref table', () => {
+  const { createPdf, wrap } = require('../lib/pdf');
+  assert.deepEqual(wrap('um dois três', 'regular', 10, 40), ['um dois', 'três']);
+
+  const buffer = createPdf({ title: 'Teste' }).text('Olá, currículo — página 1').end();
+  const pdf = buffer.toString('latin1');
+  const startxref = Number(/startxref\n(\d+)\n/.exec(pdf)[1]);
+  assert.equal(pdf.slice(startxref, startxref + 4), 'xref');
+  const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, i) => assert.equal(pdf.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+});
+
+test('index.html carries the same Person JSON-LD for crawlers without JavaScript', () => {
+  const fs = require('fs');
+  const { INDEX_FILE, withPersonJsonLd } = require('../build');
+  const html = fs.readFileSync(INDEX_FILE, 'utf8');
+
+  assert.equal(html, withPersonJsonLd(html), 'run `npm run build` after editing resume.json');
+  const ld = JSON.parse(/<script type="application\/ld\+json" id="person-ld">([\s\S]*?)<\/script>/.exec(html)[1]);
+  assert.equal(ld.jobTitle, 'Desenvolvedor Web, UI/UX Designer');
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeEvent, aggregate, MAX_BATCH } = require('../lib/events');
+
+let server;
+
+before(async () => {
+  Object.assign(process.env, {
+    STORE_DRIVER: 'memory',
+    EVENTS_DRIVER: 'memory',
+    EVENTS_IP_LIMIT: '3',
+    STATS_TOKEN: 'stats-secret',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+let nextIp = 1;
+const post = (body, headers = {}) => server.request('/api/events', {
+  method: 'POST',
+  headers: Object.assign({ 'x-forwarded-for': `198.51.100.${nextIp++}` }, headers),
+  body
+});
+const stats = (query = '', token = 'stats-secret') => server.request(`/api/stats${query}`, { headers: { authorization: `Bearer ${token}` } });
+
+test('only known event names are kept, and ids and labels must be slugs', () => {
+  const now = Date.parse('2025-03-10T12:00:00Z');
+  assert.equal(sanitizeEvent({ name: 'keylogger' }, now), null);
+  assert.equal(sanitizeEvent(null, now), null);
+
+  assert.deepEqual(sanitizeEvent({ name: 'demo_open', project: 'aurora-cms', label: 'hero:cta', path: '/projetos?ref=x#top', ts: now - 1000 }, now), {
+    ts: new Date(now - 1000).toISOString(),
+    day: '2025-03-10',
+    name: 'demo_open',
+    project: 'aurora-cms',
+    label: 'hero:cta',
+    path: '/projetos'
+  });
+
+  const free = sanitizeEvent({ name: 'cta_click', project: 'ana@example.com', label: 'Olá mundo', path: 'https://x.example/' }, now);
+  assert.deepEqual([free.project, free.label, free.path], [null, null, null]);
+  assert.equal(sanitizeEvent({ name: 'page_view', project: 'a'.repeat(65) }, now).project, null);
+
+  // client clocks too far off are replaced by the server time
+  assert.equal(sanitizeEvent({ name: 'page_view', ts: now - 2 * 24 * 60 * 60 * 1000 }, now).ts, new Date(now).toISOString());
+});
+
+test('aggregate counts per day, event and project within the range', () => {
+  const events = [
+    { day: '2025-03-01', name: 'page_view', project: null },
+    { day: '2025-03-02', name: 'demo_open', project: 'aurora' },
+    { day: '2025-03-02', name: 'demo_open', project: 'aurora' },
+    { day: '2025-03-02', name: 'page_view', project: null },
+    { day: '2025-03-05', name: 'cv_download', project: null }
+  ];
+  const { days, totals } = aggregate(events, { from: '2025-03-02', to: '2025-03-04' });
+
+  assert.deepEqual(days, [{ day: '2025-03-02', total: 3, events: { demo_open: 2, page_view: 1 }, projects: { aurora: { demo_open: 2 } } }]);
+  assert.deepEqual(totals, { events: { demo_open: 2, page_view: 1 }, projects: { aurora: { demo_open: 2 } } });
+});
+
+test('accepted batches show up in the stats; unknown events are dropped', async () => {
+  const ts = Date.now();
+  const res = await post({ events: [{ name: 'demo_open', project: 'kiosk', ts }, { name: 'demo_open', project: 'kiosk', ts }, { name: 'steal_cookies', ts }] });
+  assert.equal(res.status, 204);
+
+  // sendBeacon bodies may come as text/plain
+  const beacon = await post(JSON.stringify([{ name: 'cv_download', ts }]), { 'content-type': 'text/plain' });
+  assert.equal(beacon.status, 204);
+
+  const body = (await stats()).body;
+  assert.equal(body.ok, true);
+  assert.deepEqual(body.totals.projects.kiosk, { demo_open: 2 });
+  assert.equal(body.totals.events.cv_download, 1);
+  assert.equal(body.totals.events.steal_cookies, undefined);
+});
+
+test('DNT and GPC requests are accepted but not stored', async () => {
+  const before = (await stats()).body.totals.events.copy_email || 0;
+  assert.equal((await post({ events: [{ name: 'copy_email' }] }, { dnt: '1' })).status, 204);
+  assert.equal((await post({ events: [{ name: 'copy_email' }] }, { 'sec-gpc': '1' })).status, 204);
+  assert.equal((await stats()).body.totals.events.copy_email || 0, before);
+});
+
+test('bad and oversized batches are refused', async () => {
+  assert.equal((await post({ name: 'page_view' })).status, 400);
+  assert.equal((await post('not json', { 'content-type': 'text/plain' })).status, 400);
+  const big = Array.from({ length: MAX_BATCH + 1 }, () => ({ name: 'page_view' }));
+  assert.equal((await post({ events: big })).status, 413);
+});
+
+test('batches are rate limited per IP', async () => {
+  const headers = { 'x-forwarded-for': '203.0.113.50' };
+  for (let i = 0; i < 3; i++) assert.equal((await post({ events: [] }, headers)).status, 204);
+  const res = await post({ events: [] }, headers);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+});
+
+test('stats need STATS_TOKEN and valid day ranges', async () => {
+  assert.equal((await stats('', 'nope')).status, 401);
+  assert.equal((await server.request('/api/stats')).status, 401);
+
+  delete process.env.STATS_TOKEN;
+  try {
+    assert.equal((await stats()).status, 503);
+  } finally {
+    process.env.STATS_TOKEN = 'stats-secret';
+  }
+
+  assert.equal((await stats('?from=03/01/2025')).status, 400);
+  assert.equal((await stats('?from=2025-03-10&to=2025-03-01')).status, 400);
+  const res = await stats('?from=2025-03-01&to=2025-03-31');
+  assert.deepEqual([res.status, res.body.from, res.body.to, res.body.days], [200, '2025-03-01', '2025-03-31', []]);
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSmtpCapture } = require('./helpers/smtp-capture');
+
+let smtp;
+let server;
+
+before(async () => {
+  smtp = await startSmtpCapture();
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    SMTP_USER: 'portfolio@example.com',
+    SMTP_PASS: 'secret',
+    STORE_DRIVER: 'memory',
+    MESSAGES_DRIVER: 'memory',
+    EVENTS_DRIVER: 'memory',
+    HEALTH_CACHE_MS: '0',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+  await smtp.close();
+});
+
+test('/api/health answers with service info', async () => {
+  const res = await server.request('/api/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.service.name, 'estandar-portfolio-backend');
+});
+
+test('/api/health/live never touches dependencies', async () => {
+  const res = await server.request('/api/health/live');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'live');
+  assert.equal(res.body.checks, undefined);
+});
+
+test('/api/health/ready passes with SMTP reachable', async () => {
+  const res = await server.request('/api/health/ready');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.checks.mail.ok, true);
+  assert.equal(res.body.checks.mail.transports.primary.ok, true);
+  assert.equal(res.body.checks.storage.ok, true);
+});
+
+test('/api/health/ready exposes Prometheus metrics', async () => {
+  const res = await server.request('/api/health/ready?format=prometheus');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.match(res.body, /check="mail"/);
+  assert.match(res.body, /portfolio_mail_transport_up\{transport="primary",kind="smtp"\} 1/);
+});
+
+test('/api/health/ready fails when SMTP is down', async () => {
+  await smtp.close();
+  const res = await server.request('/api/health/ready');
+  assert.equal(res.status, 503);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.checks.mail.ok, false);
+  assert.equal(res.body.checks.mail.transports.primary.ok, false);
+});
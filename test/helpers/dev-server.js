@@ -0,0 +1,41 @@
+'use strict';
+
+const { createDevServer } = require('../../dev-server');
+
+/**
+ * Start the dev server on a free port. Returns { url, request(path, options), close() }.
+ * request() resolves { status, headers, body } with body parsed as JSON when possible.
+ */
+function startDevServer() {
+  const server = createDevServer();
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        async request(path, { method = 'GET', headers = {}, body } = {}) {
+          const init = { method, headers: Object.assign({}, headers) };
+          if (body !== undefined) {
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+            if (!init.headers['content-type']) init.headers['content-type'] = 'application/json';
+          }
+          const res = await fetch(url + path, init);
+          const text = await res.text();
+          let parsed = text;
+          try {
+            parsed = JSON.parse(text);
+          } catch (e) {
+            // not JSON
+          }
+          return { status: res.status, headers: res.headers, body: parsed };
+        },
+        close() {
+          server.closeAllConnections();
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startDevServer };
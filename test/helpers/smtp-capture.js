@@ -0,0 +1,108 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * Minimal SMTP server that accepts everything and keeps the messages in memory.
+ * Enough for nodemailer (EHLO, AUTH PLAIN/LOGIN, MAIL, RCPT, DATA, RSET, NOOP, QUIT); no TLS.
+ *
+ *   const smtp = await startSmtpCapture();
+ *   smtp.port; smtp.messages -> [{ from, to: [], raw }]; await smtp.close();
+ *
+ * `rejectAuth: true` answers every AUTH with 535, like a server after a credential rotation.
+ */
+function startSmtpCapture({ rejectAuth = false } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null; // lines of the DATA section while it is being received
+    let authStep = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 smtp-capture ready');
+
+    const handle = (line) => {
+      if (data) {
+        if (line === '.') {
+          messages.push({ from: envelope.from, to: envelope.to, raw: data.join('\r\n') });
+          envelope = { from: null, to: [] };
+          data = null;
+          return reply('250 OK queued');
+        }
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+        return undefined;
+      }
+      if (authStep) {
+        authStep = authStep === 'user' ? 'pass' : null;
+        if (authStep) return reply('334 UGFzc3dvcmQ6');
+        return reply(rejectAuth ? '535 Authentication failed' : '235 Authentication successful');
+      }
+
+      const [verb] = line.split(' ');
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          return socket.write('250-smtp-capture\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        case 'HELO':
+          return reply('250 smtp-capture');
+        case 'AUTH':
+          if (/^AUTH LOGIN/i.test(line)) {
+            authStep = 'user';
+            return reply('334 VXNlcm5hbWU6');
+          }
+          return reply(rejectAuth ? '535 Authentication failed' : '235 Authentication successful');
+        case 'MAIL':
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+          return reply('250 OK');
+        case 'RCPT':
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || null);
+          return reply('250 OK');
+        case 'DATA':
+          data = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close() {
+          sockets.forEach(s => s.destroy());
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpCapture };
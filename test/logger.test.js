@@ -0,0 +1,140 @@
+'use strict';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, createLogger } = require('../lib/logger');
+const { createHttpReporter, getErrorReporter, setErrorReporter, reportError } = require('../lib/error-reporter');
+
+// Local stand-in for the error reporting endpoint
+let server;
+let base;
+const reports = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      reports.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Lines written by fn, parsed
+function capture(fn) {
+  const lines = [];
+  const originals = { log: console.log, warn: console.warn, error: console.error };
+  for (const key of Object.keys(originals)) console[key] = (line) => lines.push(Object.assign(JSON.parse(line), { stream: key }));
+  try {
+    fn();
+  } finally {
+    Object.assign(console, originals);
+  }
+  return lines;
+}
+
+test('emails and IP addresses are redacted from any string', () => {
+  assert.equal(redact('falha ao enviar para ana.silva+cv@example.com.br'), 'falha ao enviar para [email]');
+  assert.equal(redact('ECONNREFUSED 203.0.113.9:587'), 'ECONNREFUSED [ip]:587');
+  assert.equal(redact('de 2001:db8:85a3::8a2e:370:7334 e fe80::1'), 'de [ip] e [ip]');
+  assert.equal(redact('2001:0db8:0000:0000:0000:ff00:0042:8329'), '[ip]');
+  assert.equal(redact('rota fe80:: ativa'), 'rota [ip] ativa');
+  // things that only look close stay as they are
+  assert.equal(redact('versão 1.2.3, 10:30:00'), 'versão 1.2.3, 10:30:00');
+});
+
+test('sensitive keys are redacted whatever their value, at any depth', () => {
+  const out = redact({
+    Email: 'não parece um email',
+    ip: 'desconhecido',
+    headers: { 'X-Forwarded-For': 'x', 'user-agent': 'curl' },
+    items: [{ to: ['a'], replyTo: 'b', subject: 'Olá de rui@example.com' }],
+    empty: { email: null },
+    count: 3
+  });
+  assert.deepEqual(out, {
+    Email: '[redacted]',
+    ip: '[redacted]',
+    headers: { 'X-Forwarded-For': '[redacted]', 'user-agent': 'curl' },
+    items: [{ to: '[redacted]', replyTo: '[redacted]', subject: 'Olá de [email]' }],
+    empty: { email: null },
+    count: 3
+  });
+});
+
+test('errors are serialized with redacted message and stack', () => {
+  const err = Object.assign(new Error('550 rejected ana@example.com'), { code: 'EENVELOPE' });
+  const out = redact({ error: err });
+  assert.equal(out.error.message, '550 rejected [email]');
+  assert.equal(out.error.code, 'EENVELOPE');
+  assert.doesNotMatch(out.error.stack, /ana@example\.com/);
+});
+
+test('log lines carry bindings, respect LOG_LEVEL and go to the right stream', () => {
+  const saved = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'warn';
+  try {
+    const lines = capture(() => {
+      const log = createLogger({ module: 'contact' }).child({ requestId: 'r1', ip: '203.0.113.9' });
+      log.info('ignorado');
+      log.warn('lento', { ms: 900 });
+      log.error('falhou', { email: 'ana@example.com' });
+    });
+    assert.deepEqual(lines.map(l => [l.stream, l.level, l.msg]), [['warn', 'warn', 'lento'], ['error', 'error', 'falhou']]);
+    assert.deepEqual([lines[0].module, lines[0].requestId, lines[0].ip, lines[0].ms], ['contact', 'r1', '[redacted]', 900]);
+    assert.equal(lines[1].email, '[redacted]');
+  } finally {
+    process.env.LOG_LEVEL = saved;
+  }
+});
+
+test('without ERROR_REPORT_URL errors are not reported anywhere', async () => {
+  delete process.env.ERROR_REPORT_URL;
+  setErrorReporter(null);
+  assert.equal(getErrorReporter().name, 'none');
+  await reportError(new Error('boom'), { route: '/api/x' });
+  assert.equal(reports.length, 0);
+});
+
+test('the HTTP reporter posts redacted JSON', async () => {
+  process.env.ERROR_REPORT_URL = `${base}/report`;
+  setErrorReporter(null);
+  try {
+    assert.equal(getErrorReporter().name, 'http');
+    await reportError(new Error('falha para ana@example.com'), { route: '/api/contact', ip: '203.0.113.9' });
+  } finally {
+    delete process.env.ERROR_REPORT_URL;
+    setErrorReporter(null);
+  }
+
+  assert.equal(reports.length, 1);
+  const { headers, body } = reports[0];
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(body.error.message, 'falha para [email]');
+  assert.deepEqual(body.context, { route: '/api/contact', ip: '[redacted]' });
+  assert.ok(body.time);
+});
+
+test('a failing reporter never throws into the request', async () => {
+  // closed port
+  const gone = http.createServer();
+  await new Promise(resolve => gone.listen(0, '127.0.0.1', resolve));
+  const port = gone.address().port;
+  await new Promise(resolve => gone.close(resolve));
+
+  setErrorReporter(createHttpReporter(`http://127.0.0.1:${port}/report`));
+  await assert.doesNotReject(reportError(new Error('boom')));
+  setErrorReporter({ name: 'broken', captureException() { throw new Error('sdk down'); } });
+  await assert.doesNotReject(reportError(new Error('boom')));
+  setErrorReporter(null);
+});
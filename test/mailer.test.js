@@ -0,0 +1,137 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startSmtpCapture } = require('./helpers/smtp-capture');
+
+process.env.LOG_LEVEL = 'silent';
+const { createMailRouter, transportConfigs } = require('../lib/transports');
+
+const smtp = (name, port) => ({
+  name,
+  kind: 'smtp',
+  options: { host: '127.0.0.1', port, secure: false, auth: { user: 'u', pass: 'p' }, connectionTimeout: 2000, greetingTimeout: 2000 }
+});
+const mail = { from: 'portfolio@example.com', to: 'owner@example.com', subject: 'Olá', text: 'Teste' };
+
+let primary;
+let secondary;
+let rejecting;
+let closedPort;
+const routers = [];
+const router = (configs, options) => {
+  const r = createMailRouter(configs, options);
+  routers.push(r);
+  return r;
+};
+
+before(async () => {
+  primary = await startSmtpCapture();
+  secondary = await startSmtpCapture();
+  rejecting = await startSmtpCapture({ rejectAuth: true });
+  const gone = await startSmtpCapture();
+  closedPort = gone.port;
+  await gone.close();
+});
+
+after(async () => {
+  routers.forEach(r => r.close());
+  await Promise.all([primary.close(), secondary.close(), rejecting.close()]);
+});
+
+test('transports come from the environment in failover order', () => {
+  const configs = transportConfigs({
+    SMTP_HOST: 'smtp.one', SMTP_USER: 'a', SMTP_PASS: 'b',
+    SMTP_SECONDARY_HOST: 'smtp.two', SMTP_SECONDARY_PORT: '2525',
+    MAIL_OUTBOX: 'file', MAIL_OUTBOX_DIR: '/tmp/outbox'
+  });
+  assert.deepEqual(configs.map(c => c.name), ['primary', 'secondary', 'outbox']);
+  assert.equal(configs[1].options.port, 2525);
+  assert.equal(configs[2].dir, '/tmp/outbox');
+});
+
+test('the primary transport is used while it works', async () => {
+  const before = primary.messages.length;
+  const info = await router([smtp('primary', primary.port), smtp('secondary', secondary.port)]).sendMail(mail);
+  assert.equal(info.transport, 'primary');
+  assert.equal(primary.messages.length, before + 1);
+});
+
+test('connection errors fail over to the next transport', async () => {
+  const before = secondary.messages.length;
+  const info = await router([smtp('primary', closedPort), smtp('secondary', secondary.port)]).sendMail(mail);
+  assert.equal(info.transport, 'secondary');
+  assert.equal(secondary.messages.length, before + 1);
+});
+
+test('auth errors fail over to the next transport', async () => {
+  const info = await router([smtp('primary', rejecting.port), smtp('secondary', secondary.port)]).sendMail(mail);
+  assert.equal(info.transport, 'secondary');
+  assert.equal(rejecting.messages.length, 0);
+});
+
+test('a failing transport is circuit-broken for the cooldown, then probed again', async () => {
+  let clock = 1000;
+  const r = router([smtp('primary', closedPort), smtp('secondary', secondary.port)], {
+    failureThreshold: 2,
+    cooldownMs: 60000,
+    now: () => clock
+  });
+
+  await r.sendMail(mail);
+  assert.equal(r.status()[0].circuit, 'closed');
+  await r.sendMail(mail);
+  assert.equal(r.status()[0].circuit, 'open');
+  assert.equal(r.status()[0].failures, 2);
+
+  // skipped while open: no new failure is recorded
+  await r.sendMail(mail);
+  assert.equal(r.status()[0].failures, 2);
+
+  clock += 60001;
+  assert.equal(r.status()[0].circuit, 'half-open');
+  await r.sendMail(mail);
+  assert.equal(r.status()[0].circuit, 'open', 'a failed probe opens the circuit again');
+});
+
+test('every transport down rejects with ENOTRANSPORT', async () => {
+  await assert.rejects(
+    router([smtp('primary', closedPort), smtp('secondary', rejecting.port)]).sendMail(mail),
+    err => err.code === 'ENOTRANSPORT' && /primary: .*secondary: /.test(err.message)
+  );
+});
+
+test('the file outbox writes one .eml per message', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  try {
+    const info = await router([smtp('primary', closedPort), { name: 'outbox', kind: 'file', dir }]).sendMail(mail);
+    assert.equal(info.transport, 'outbox');
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /\.eml$/);
+    assert.match(fs.readFileSync(path.join(dir, files[0]), 'utf8'), /Subject: =\?UTF-8\?Q\?Ol=C3=A1\?=|Subject: Olá/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('visitor text sent back from our address loses links and odd greetings', () => {
+  const { stripLinks, greetingName } = require('../lib/mailer');
+  const { renderTemplate } = require('../lib/templates');
+
+  assert.equal(stripLinks('veja https://x.example/a e www.y.example ou a@b.example'), 'veja [link] e [link] ou [link]');
+  assert.equal(stripLinks('ou bit.ly/premio phish.example. Fim'), 'ou [link] [link]. Fim');
+  assert.equal(greetingName('Ana Silva'), 'Ana');
+  assert.equal(greetingName("  D'Ávila-Souza Jr."), "D'Ávila-Souza");
+  assert.equal(greetingName('https://phish.example Ganhou'), 'Ganhou');
+  assert.equal(greetingName('www.phish.example'), '');
+  assert.equal(greetingName('Clique:aqui'), '');
+  assert.equal(greetingName('A'.repeat(41)), '');
+
+  const reply = renderTemplate('contact-autoreply', 'pt', { firstName: greetingName('bit.ly/premio'), quoteText: '> Olá' });
+  assert.match(reply.text, /^Olá,$/m);
+  assert.match(renderTemplate('contact-autoreply', 'en', { firstName: 'Ana' }).text, /^Hi Ana,$/m);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSmtpCapture } = require('./helpers/smtp-capture');
+
+let smtp;
+let server;
+let store;
+const records = {};
+
+before(async () => {
+  smtp = await startSmtpCapture();
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    SMTP_USER: 'portfolio@example.com',
+    SMTP_PASS: 'secret',
+    TO_EMAIL: 'owner@example.com',
+    STORE_DRIVER: 'memory',
+    MESSAGES_DRIVER: 'memory',
+    INBOX_TOKEN: 'inbox-secret',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+
+  // the dev server runs in this process, so it shares the message store
+  store = require('../lib/messages').getMessageStore();
+  const seed = async (key, fields, patch) => {
+    records[key] = await store.create(Object.assign({ locale: 'pt' }, fields));
+    if (patch) records[key] = await store.update(records[key].id, patch);
+    await new Promise(resolve => setTimeout(resolve, 5)); // distinct createdAt for the ordering
+  };
+  await seed('ana', { name: 'Ana Silva', email: 'ana@example.com', message: 'Proposta de freelance' }, { status: 'sent', attempts: 1 });
+  await seed('rui', { name: 'Rui Costa', email: 'rui@example.com', message: 'Olá, tudo bem?' }, { status: 'failed', attempts: 1, lastError: 'ECONNREFUSED' });
+  await seed('eva', { name: 'Eva Lima', email: 'eva@example.com', message: 'Vaga de estágio' }, { status: 'failed', attempts: 2, lastError: 'timeout' });
+});
+
+after(async () => {
+  await server.close();
+  await smtp.close();
+});
+
+const auth = { authorization: 'Bearer inbox-secret' };
+const inbox = (path, options = {}) => server.request(path, Object.assign({}, options, { headers: Object.assign({}, auth, options.headers) }));
+
+test('the inbox needs INBOX_TOKEN: 503 when unset, 401 on a wrong token', async () => {
+  delete process.env.INBOX_TOKEN;
+  try {
+    const res = await server.request('/api/messages', { headers: auth });
+    assert.equal(res.status, 503);
+    assert.equal(res.body.message, 'INBOX_TOKEN not configured');
+  } finally {
+    process.env.INBOX_TOKEN = 'inbox-secret';
+  }
+
+  const wrong = await server.request('/api/messages', { headers: { authorization: 'Bearer nope' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await server.request('/api/messages')).status, 401);
+  assert.equal((await server.request('/api/messages', { headers: { 'x-api-token': 'inbox-secret' } })).status, 200);
+});
+
+test('listing is newest first and filters by status, read and text', async () => {
+  const all = await inbox('/api/messages');
+  assert.equal(all.status, 200);
+  assert.equal(all.headers.get('cache-control'), 'no-store');
+  assert.equal(all.body.total, 3);
+  assert.deepEqual(all.body.items.map(r => r.name), ['Eva Lima', 'Rui Costa', 'Ana Silva']);
+
+  const failed = await inbox('/api/messages?status=failed');
+  assert.deepEqual(failed.body.items.map(r => r.name), ['Eva Lima', 'Rui Costa']);
+
+  assert.deepEqual((await inbox('/api/messages?q=FREELANCE')).body.items.map(r => r.name), ['Ana Silva']);
+  assert.equal((await inbox('/api/messages?read=true')).body.total, 0);
+
+  const page = await inbox('/api/messages?limit=1&offset=1');
+  assert.deepEqual({ total: page.body.total, names: page.body.items.map(r => r.name) }, { total: 3, names: ['Rui Costa'] });
+
+  assert.equal((await inbox('/api/messages?status=lost')).status, 400);
+});
+
+test('one message by id, 404 when unknown', async () => {
+  const res = await inbox(`/api/messages/${records.ana.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.item.email, 'ana@example.com');
+  assert.equal((await inbox('/api/messages/no-such-id')).status, 404);
+});
+
+test('PATCH marks a message read or unread', async () => {
+  const path = `/api/messages/${records.ana.id}`;
+  const read = await inbox(path, { method: 'PATCH', body: { read: true } });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.item.read, true);
+  assert.ok(read.body.item.readAt);
+  assert.deepEqual((await inbox('/api/messages?read=true')).body.items.map(r => r.id), [records.ana.id]);
+
+  const unread = await inbox(path, { method: 'PATCH', body: { read: false } });
+  assert.deepEqual([unread.body.item.read, unread.body.item.readAt], [false, null]);
+
+  assert.equal((await inbox(path, { method: 'PATCH', body: { read: 'yes' } })).status, 400);
+  assert.equal((await inbox('/api/messages/no-such-id', { method: 'PATCH', body: { read: true } })).status, 404);
+});
+
+test('retry sends a failed message again, and refuses one already sent', async () => {
+  const before = smtp.messages.length;
+  const res = await inbox(`/api/messages/${records.rui.id}/retry`, { method: 'POST', body: {} });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.item.status, res.body.item.attempts, res.body.item.lastError], ['sent', 2, null]);
+  assert.equal(smtp.messages.length, before + 1);
+
+  const again = await inbox(`/api/messages/${records.rui.id}/retry`, { method: 'POST', body: {} });
+  assert.equal(again.status, 409);
+  assert.equal(smtp.messages.length, before + 1);
+
+  assert.equal((await inbox('/api/messages/no-such-id/retry', { method: 'POST', body: {} })).status, 404);
+  assert.equal((await inbox('/api/messages', { method: 'POST', body: { action: 'purge' } })).status, 400);
+});
+
+test('retry-failed resends every failed message', async () => {
+  await store.update(records.ana.id, { status: 'failed', lastError: 'timeout' });
+  const res = await inbox('/api/messages', { method: 'POST', body: { action: 'retry-failed' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual({ ok: res.body.ok, retried: res.body.retried, sent: res.body.sent }, { ok: true, retried: 2, sent: 2 });
+  assert.deepEqual(res.body.results.map(r => r.id).sort(), [records.ana.id, records.eva.id].sort());
+  assert.equal((await inbox('/api/messages?status=failed')).body.total, 0);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const { withApi } = require('../lib/middleware');
+const { setErrorReporter } = require('../lib/error-reporter');
+
+// Minimal stand-in for the Vercel req/res helpers the handlers use
+async function call(handler, { method = 'GET', headers = {}, body } = {}) {
+  const req = { method, headers, body, query: {} };
+  const out = { status: 200, headers: {}, body: undefined, ended: false };
+  const res = {
+    get statusCode() { return out.status; },
+    set statusCode(code) { out.status = code; },
+    get headersSent() { return out.ended; },
+    setHeader(name, value) { out.headers[name.toLowerCase()] = String(value); },
+    getHeader(name) { return out.headers[name.toLowerCase()]; },
+    status(code) { out.status = code; return res; },
+    json(value) { out.body = value; out.ended = true; return res; },
+    end() { out.ended = true; return res; }
+  };
+  await handler(req, res);
+  return out;
+}
+
+const reported = [];
+const echo = withApi(async (req, res) => res.status(200).json({ ok: true, body: req.body || null }), {
+  route: '/api/echo',
+  methods: ['GET', 'POST'],
+  contentTypes: ['application/json', 'text/plain'],
+  bodyLimit: 100
+});
+
+before(() => {
+  process.env.CORS_ORIGINS = 'https://estandarmustaq.dev, https://preview.example/';
+  setErrorReporter({ name: 'test', captureException: (err, context) => { reported.push({ err, context }); } });
+});
+
+after(() => {
+  delete process.env.CORS_ORIGINS;
+  setErrorReporter(null);
+});
+
+test('CORS preflight answers allow-listed origins with the allowed methods', async () => {
+  const res = await call(echo, { method: 'OPTIONS', headers: { origin: 'https://preview.example' } });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers['access-control-allow-origin'], 'https://preview.example');
+  assert.equal(res.headers['access-control-allow-methods'], 'GET,POST,OPTIONS');
+  assert.match(res.headers['access-control-allow-headers'], /Authorization/);
+  assert.equal(res.headers.allow, 'GET,POST,OPTIONS');
+  assert.equal(res.headers.vary, 'Origin');
+});
+
+test('other origins get no CORS headers', async () => {
+  const preflight = await call(echo, { method: 'OPTIONS', headers: { origin: 'https://evil.example' } });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers['access-control-allow-origin'], undefined);
+
+  const get = await call(echo, { headers: { origin: 'https://estandarmustaq.dev.evil.example' } });
+  assert.equal(get.status, 200);
+  assert.equal(get.headers['access-control-allow-origin'], undefined);
+
+  const allowed = await call(echo, { headers: { origin: 'https://estandarmustaq.dev' } });
+  assert.equal(allowed.headers['access-control-allow-origin'], 'https://estandarmustaq.dev');
+  assert.equal(allowed.headers['access-control-allow-methods'], undefined);
+  assert.match(allowed.headers['access-control-expose-headers'], /X-Request-Id/);
+});
+
+test('methods outside the list get 405 with Allow', async () => {
+  const res = await call(echo, { method: 'DELETE' });
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.allow, 'GET,POST,OPTIONS');
+  assert.equal(res.body.error, 'method_not_allowed');
+});
+
+test('bodies over the limit get 413, unlisted content types 415', async () => {
+  const big = await call(echo, { method: 'POST', headers: { 'content-type': 'application/json', 'content-length': '101' }, body: {} });
+  assert.equal(big.status, 413);
+  assert.equal(big.body.error, 'payload_too_large');
+
+  // without Content-Length the parsed body is measured
+  const measured = await call(echo, { method: 'POST', headers: { 'content-type': 'text/plain' }, body: 'x'.repeat(101) });
+  assert.equal(measured.status, 413);
+
+  const form = await call(echo, { method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded; charset=utf-8' }, body: 'a=1' });
+  assert.equal(form.status, 415);
+  assert.equal(form.body.message, 'Content-Type must be application/json or text/plain');
+
+  const ok = await call(echo, { method: 'POST', headers: { 'content-type': 'application/json; charset=utf-8' }, body: { a: 1 } });
+  assert.deepEqual([ok.status, ok.body.body], [200, { a: 1 }]);
+});
+
+test('per-type body limits fall back to the default for other types', async () => {
+  const upload = withApi(async (req, res) => res.status(200).json({ ok: true }), {
+    methods: ['POST'],
+    contentTypes: ['application/json', 'multipart/form-data'],
+    bodyLimit: { 'multipart/form-data': 1000 }
+  });
+  const multipart = { 'content-type': 'multipart/form-data; boundary=x', 'content-length': '900' };
+  assert.equal((await call(upload, { method: 'POST', headers: multipart })).status, 200);
+  assert.equal((await call(upload, { method: 'POST', headers: { 'content-type': 'application/json', 'content-length': String(64 * 1024 + 1) } })).status, 413);
+});
+
+test('error bodies get the envelope and every JSON body the request id', async () => {
+  const notFound = withApi(async (req, res) => res.status(404).json({ message: 'Not found' }));
+  const res = await call(notFound, { headers: { 'x-request-id': 'abc-123' } });
+  assert.deepEqual(res.body, { ok: false, error: 'not_found', message: 'Not found', requestId: 'abc-123' });
+  assert.equal(res.headers['x-request-id'], 'abc-123');
+  assert.equal(res.headers['x-content-type-options'], 'nosniff');
+
+  // ill-formed ids are replaced
+  const generated = await call(notFound, { headers: { 'x-request-id': 'bad id\n' } });
+  assert.match(generated.body.requestId, /^[0-9a-f-]{36}$/);
+  assert.equal(generated.headers['x-request-id'], generated.body.requestId);
+
+  const ok = await call(echo, { headers: { 'x-vercel-id': 'gru1::abc' } });
+  assert.deepEqual(ok.body, { ok: true, body: null, requestId: 'gru1::abc' });
+});
+
+test('unexpected errors are reported and answered with a 500 envelope', async () => {
+  const boom = withApi(async () => { throw new Error('db down'); }, { route: '/api/boom' });
+  const res = await call(boom, { headers: { 'x-request-id': 'req-9' } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { ok: false, error: 'internal_error', message: 'Internal error', requestId: 'req-9' });
+  assert.equal(reported.at(-1).err.message, 'db down');
+  assert.deepEqual(reported.at(-1).context, { requestId: 'req-9', route: '/api/boom', method: 'GET' });
+
+  // client errors from the body parser keep their status and are not reported
+  const count = reported.length;
+  const badJson = withApi(async () => { throw Object.assign(new Error('Invalid JSON'), { statusCode: 400 }); });
+  const parsed = await call(badJson);
+  assert.deepEqual([parsed.status, parsed.body.error, parsed.body.message], [400, 'bad_request', 'Invalid JSON']);
+  assert.equal(reported.length, count);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createFileStore } = require('../lib/store');
+const { hitSlidingWindow, fingerprint, checkDuplicate, rememberMessage } = require('../lib/rate-limit');
+const { createSubmitToken, verifySubmitToken } = require('../lib/submit-token');
+
+let server;
+
+before(async () => {
+  Object.assign(process.env, {
+    STORE_DRIVER: 'memory',
+    CONTACT_IP_LIMIT: '2',
+    CONTACT_TOKEN_SECRET: 'test-secret',
+    LOG_LEVEL: 'silent'
+  });
+  const { startDevServer } = require('./helpers/dev-server');
+  server = await startDevServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('the sliding window refuses hits over the limit until the oldest one expires', async () => {
+  const store = createMemoryStore();
+  const t0 = Date.now();
+
+  assert.deepEqual(await hitSlidingWindow(store, 'k', 2, 1000, t0), { allowed: true, remaining: 1, retryAfterMs: 0 });
+  assert.deepEqual(await hitSlidingWindow(store, 'k', 2, 1000, t0 + 100), { allowed: true, remaining: 0, retryAfterMs: 0 });
+  assert.deepEqual(await hitSlidingWindow(store, 'k', 2, 1000, t0 + 400), { allowed: false, remaining: 0, retryAfterMs: 600 });
+  // refused hits are not recorded, so the first slot frees up after the window
+  assert.equal((await hitSlidingWindow(store, 'k', 2, 1000, t0 + 1001)).allowed, true);
+  assert.equal((await hitSlidingWindow(store, 'k', 2, 1000, t0 + 1002)).allowed, false);
+});
+
+test('concurrent hits never go over the limit', async () => {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'rate-limit-')), 'store.json');
+  for (const store of [createMemoryStore(), createFileStore(file)]) {
+    const now = Date.now();
+    const hits = await Promise.all(Array.from({ length: 10 }, () => hitSlidingWindow(store, 'burst', 3, 60000, now)));
+    assert.equal(hits.filter(hit => hit.allowed).length, 3, store.driver);
+  }
+  await fs.rm(path.dirname(file), { recursive: true, force: true });
+});
+
+test('duplicates are matched ignoring case and spacing, until their TTL', async () => {
+  const store = createMemoryStore();
+  const hash = fingerprint('Ana@Example.com', 'Olá,   tudo bem?');
+  assert.equal(hash, fingerprint('ana@example.com', 'olá, tudo bem?'));
+  assert.notEqual(hash, fingerprint('ana@example.com', 'outra mensagem'));
+
+  assert.equal(await checkDuplicate(store, hash), 0);
+  await rememberMessage(store, hash, 60000);
+  const waitMs = await checkDuplicate(store, hash);
+  assert.ok(waitMs > 59000 && waitMs <= 60000);
+
+  await rememberMessage(store, hash, 20);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(await checkDuplicate(store, hash), 0);
+});
+
+test('submit tokens must be signed, old enough and not expired', () => {
+  const issuedAt = Date.now() - 10000;
+  const token = createSubmitToken(issuedAt);
+
+  assert.deepEqual(verifySubmitToken(token, 3000), { ok: true });
+  assert.deepEqual(verifySubmitToken(token, 3000, issuedAt + 1000), { ok: false, reason: 'too-fast', retryAfterMs: 2000 });
+  assert.equal(verifySubmitToken(token, 3000, issuedAt + 2 * 60 * 60 * 1000 + 1).reason, 'expired');
+  assert.equal(verifySubmitToken(token, 3000, issuedAt - 1).reason, 'expired');
+  assert.equal(verifySubmitToken(`${issuedAt - 5000}.${token.split('.')[1]}`, 3000).reason, 'bad-signature');
+  assert.equal(verifySubmitToken('abc', 3000).reason, 'malformed');
+  assert.equal(verifySubmitToken(undefined, 3000).reason, 'missing');
+});
+
+test('going over the per-IP limit answers 429 with Retry-After', async () => {
+  const post = () => server.request('/api/contact', {
+    method: 'POST',
+    headers: { 'x-forwarded-for': '203.0.113.9' },
+    body: { name: '', email: 'x', message: '' }
+  });
+
+  assert.equal((await post()).status, 400);
+  assert.equal((await post()).status, 400);
+  const res = await post();
+  assert.equal(res.status, 429);
+  assert.equal(res.body.success, false);
+  const retryAfter = Number(res.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 600, `Retry-After ${retryAfter}`);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const { scoreSubmission, loadRuleset } = require('../lib/spam');
+
+const rules = (submission) => scoreSubmission(submission).reasons.map(r => r.rule);
+
+test('an ordinary message scores zero', () => {
+  const result = scoreSubmission({
+    name: 'Ana Silva',
+    email: 'ana.silva@example.com',
+    message: 'Olá! Vi o portfólio e gostaria de falar sobre um projeto de e-commerce. Veja https://example.com'
+  });
+  assert.deepEqual(result, { score: 0, verdict: 'ok', reasons: [] });
+});
+
+test('a WhatsApp link is an ordinary way for a client to get in touch', () => {
+  const result = scoreSubmission({
+    name: 'Rui Costa',
+    email: 'rui@example.com',
+    message: 'Bom dia, tenho um projeto para a minha loja. Pode falar comigo em https://wa.me/258841234567'
+  });
+  assert.equal(result.verdict, 'ok');
+  assert.ok(!result.reasons.some(r => r.rule === 'blocklistedDomain'));
+});
+
+test('link-stuffed SEO spam is rejected with its reasons', () => {
+  const result = scoreSubmission({
+    name: 'SEO Expert',
+    email: 'offers@mailinator.com',
+    message: 'Boost your ranking! http://a.example http://b.example http://c.example http://d.example backlinks guaranteed'
+  });
+  assert.equal(result.verdict, 'reject');
+  assert.ok(result.score >= loadRuleset().thresholds.reject);
+  assert.deepEqual(result.reasons.map(r => r.rule), ['links', 'keywords', 'disposableEmail']);
+});
+
+test('signals are scored one by one', () => {
+  assert.deepEqual(rules({ name: 'Ana', email: 'ana@example.com', message: 'PLEASE ANSWER THIS MESSAGE AS SOON AS POSSIBLE' }), ['caps']);
+  assert.deepEqual(rules({ name: 'Ana', email: 'ana@example.com', message: 'hello hello hello there' }), ['repeatedText']);
+  assert.deepEqual(rules({ name: 'Ana Silva', email: 'xk83920571@example.com', message: 'Uma mensagem normal.' }), ['nameEmailMismatch']);
+  assert.deepEqual(rules({ name: 'Ana Silva', email: 'anasilva1990123@example.com', message: 'Uma mensagem normal.' }), []);
+  assert.deepEqual(rules({ name: 'Ана', email: 'ana@example.com', message: 'Здравствуйте, хочу предложить сотрудничество' }), ['scripts']);
+});
+
+test('a custom ruleset replaces rules and thresholds by name', () => {
+  const ruleset = {
+    thresholds: { flag: 1, reject: 100 },
+    rules: { keywords: { weight: 1, terms: ['orçamento'] } }
+  };
+  const result = scoreSubmission({ name: 'Ana', email: 'ana@example.com', message: 'Pedido de Orçamento' }, ruleset);
+  assert.equal(result.verdict, 'flag');
+  assert.deepEqual(result.reasons, [{ rule: 'keywords', score: 1, detail: 'orçamento' }]);
+});
+
+test('a custom ruleset that does not compile falls back to the defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spam-'));
+  const file = path.join(dir, 'rules.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ rules: { scripts: { weight: 3, ratio: 0.3, allowed: ['Latin', 'Klingon'] } } }));
+    const ruleset = loadRuleset(file);
+    assert.equal(ruleset, loadRuleset(undefined));
+    assert.equal(scoreSubmission({ name: 'Ana', email: 'ana@example.com', message: 'Olá!' }, ruleset).verdict, 'ok');
+
+    fs.writeFileSync(file, JSON.stringify({ rules: { scripts: { weight: 3, ratio: 0.3, allowed: ['Latin', 'Common', 'Cyrillic'] } } }));
+    assert.deepEqual(scoreSubmission({ name: 'Ана', email: 'ana@example.com', message: 'Здравствуйте' }, loadRuleset(file)).reasons, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
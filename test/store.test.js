@@ -0,0 +1,146 @@
+'use strict';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createKvStore } = require('../lib/store');
+const { hitSlidingWindow } = require('../lib/rate-limit');
+const { canClaimSlots } = require('../lib/booking');
+
+// Local stand-in for the KV REST API: the few Redis commands the adapter sends
+let server;
+let url;
+const data = new Map();
+const commands = [];
+let conflicts = 0; // EVALs to fail on purpose, as if another instance wrote first
+
+function live(key) {
+  const entry = data.get(key);
+  if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) data.delete(key);
+  return data.get(key) || null;
+}
+
+function run([cmd, key, ...args]) {
+  switch (cmd) {
+    case 'GET':
+      return live(key) ? live(key).value : null;
+    case 'SET': {
+      const px = args.indexOf('PX');
+      if (args.includes('NX') && live(key)) return null;
+      data.set(key, { value: args[0], expiresAt: px >= 0 ? Date.now() + Number(args[px + 1]) : null });
+      return 'OK';
+    }
+    case 'DEL':
+      return data.delete(key) ? 1 : 0;
+    case 'EVAL': {
+      // EVAL script numkeys key expected next ttl
+      const [, casKey, expected, next, ttl] = args;
+      if (conflicts > 0) {
+        conflicts--;
+        return 0;
+      }
+      const current = live(casKey);
+      if ((current ? current.value : '') !== expected) return 0;
+      data.set(casKey, { value: next, expiresAt: ttl !== '0' ? Date.now() + Number(ttl) : null });
+      return 1;
+    }
+    default:
+      throw new Error(`ERR unknown command '${cmd}'`);
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (req.headers.authorization !== 'Bearer kv-token') {
+        res.writeHead(401, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Unauthorized' }));
+      }
+      const args = JSON.parse(body);
+      commands.push(args);
+      try {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ result: run(args) }));
+      } catch (err) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const kv = () => createKvStore({ url, token: 'kv-token' });
+
+test('the KV store needs its URL and token', () => {
+  assert.throws(() => createKvStore({ url: '', token: '' }), /KV_REST_API_URL and KV_REST_API_TOKEN/);
+});
+
+test('values round-trip as JSON with their TTL', async () => {
+  const store = kv();
+  assert.equal(store.shared, true);
+  assert.equal(await store.get('missing'), null);
+
+  await store.set('a', { n: 1, tags: ['x'] });
+  assert.deepEqual(await store.get('a'), { n: 1, tags: ['x'] });
+
+  await store.set('short', 'olá', 20);
+  assert.deepEqual(commands.at(-1), ['SET', 'short', '"olá"', 'PX', '20']);
+  assert.equal(await store.get('short'), 'olá');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(await store.get('short'), null);
+
+  await store.del('a');
+  assert.equal(await store.get('a'), null);
+});
+
+test('add only stores when the key is free', async () => {
+  const store = kv();
+  assert.equal(await store.add('slot', { by: 'ana' }, 60000), true);
+  assert.equal(await store.add('slot', { by: 'rui' }, 60000), false);
+  assert.deepEqual(await store.get('slot'), { by: 'ana' });
+});
+
+test('update retries when another writer got there first', async () => {
+  const store = kv();
+  await store.set('counter', 1);
+  conflicts = 2;
+  await store.update('counter', n => n + 1);
+  assert.equal(await store.get('counter'), 2);
+  assert.equal(commands.filter(c => c[0] === 'EVAL' && c[2] === '1' && c[3] === 'counter').length, 3);
+
+  // undefined leaves the key alone
+  await store.update('counter', () => undefined);
+  assert.equal(await store.get('counter'), 2);
+
+  conflicts = 100;
+  await assert.rejects(store.update('counter', n => n + 1), /kept conflicting/);
+  conflicts = 0;
+});
+
+test('concurrent hits on the KV store never go over the limit', async () => {
+  const store = kv();
+  const now = Date.now();
+  const hits = await Promise.all(Array.from({ length: 10 }, () => hitSlidingWindow(store, 'burst', 3, 60000, now)));
+  assert.equal(hits.filter(hit => hit.allowed).length, 3);
+});
+
+test('errors from the API are thrown, and the KV store allows bookings on Vercel', async () => {
+  await assert.rejects(createKvStore({ url, token: 'wrong' }).get('a'), /KV GET failed: Unauthorized/);
+
+  process.env.VERCEL = '1';
+  try {
+    assert.equal(canClaimSlots(kv()), true);
+    assert.equal(canClaimSlots({ driver: 'memory', shared: false }), false);
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
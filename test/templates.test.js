@@ -0,0 +1,89 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, resolveLocale, renderString, renderTemplate } = require('../lib/templates');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  fs.writeFileSync(path.join(dir, 'greeting.pt.html'), '<p>Olá {{name}}</p>');
+  fs.writeFileSync(path.join(dir, 'greeting.pt.txt'), 'Subject: Olá {{name}} & cia\n\nOlá {{name}}');
+  fs.writeFileSync(path.join(dir, 'greeting.en.txt'), 'Subject: Hi {{name}}\n\nHi {{name}}');
+  process.env.TEMPLATES_DIR = dir;
+});
+
+after(() => {
+  delete process.env.TEMPLATES_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('values are HTML-escaped unless triple-braced or rendered as text', () => {
+  const vars = { name: '<b>"Ana" & O\'Neil</b>' };
+  assert.equal(escapeHtml(vars.name), '&lt;b&gt;&quot;Ana&quot; &amp; O&#39;Neil&lt;/b&gt;');
+  assert.equal(renderString('{{ name }}', vars), escapeHtml(vars.name));
+  assert.equal(renderString('{{{name}}}', vars), vars.name);
+  assert.equal(renderString('{{name}}', vars, { escape: false }), vars.name);
+});
+
+test('missing keys render as empty strings; dotted keys reach nested values', () => {
+  assert.equal(renderString('[{{missing}}][{{{missing}}}][{{a.b.c}}]', { a: {} }), '[][][]');
+  assert.equal(renderString('{{user.name}}', { user: { name: 'Ana' } }), 'Ana');
+  assert.equal(renderString('{{count}}', { count: 0 }), '0');
+});
+
+test('sections follow truthiness, inverted sections the opposite', () => {
+  const source = '{{#flag}}sim{{/flag}}{{^flag}}não{{/flag}}';
+  assert.equal(renderString(source, { flag: true }), 'sim');
+  assert.equal(renderString(source, { flag: '' }), 'não');
+  assert.equal(renderString(source, { flag: [] }), 'não');
+  assert.equal(renderString('{{#a}}{{#b}}ab{{/b}}{{/a}}', { a: 1, b: 1 }), 'ab');
+});
+
+test('array sections repeat once per item', () => {
+  const vars = { tags: ['Node', '<CMS>'], people: [{ name: 'Ana' }, { name: 'Rui' }], site: 'x' };
+  assert.equal(renderString('{{#tags}}<li>{{.}}</li>{{/tags}}', vars), '<li>Node</li><li>&lt;CMS&gt;</li>');
+  assert.equal(renderString('{{#people}}{{name}}@{{site}};{{/people}}', vars), 'Ana@x;Rui@x;');
+});
+
+test('inserted values are never expanded again', () => {
+  const vars = { items: ['{{#x}}a{{/x}}{{{y}}}'], x: true, y: '<b>', html: '<code>{{ y }}</code>', text: '{{{y}}}' };
+  assert.equal(renderString('{{#items}}<li>{{.}}</li>{{/items}}', vars), '<li>{{#x}}a{{/x}}{{{y}}}</li>');
+  assert.equal(renderString('{{{html}}} {{text}}', vars), '<code>{{ y }}</code> {{{y}}}');
+  assert.equal(renderString('{{#people}}{{bio}}{{/people}}', { people: [{ bio: '{{secret}}' }], secret: 's' }), '{{secret}}');
+});
+
+test('unmatched section tags are left as text', () => {
+  assert.equal(renderString('{{#a}}aberto {{x}}', { a: true, x: 1 }), '{{#a}}aberto 1');
+  assert.equal(renderString('a{{/b}}c', {}), 'a{{/b}}c');
+  assert.equal(renderString('{{#a}}{{#b}}x{{/a}}!', { a: true }), '{{#b}}x!');
+});
+
+test('resolveLocale prefers the explicit value, then Accept-Language by q', () => {
+  assert.equal(resolveLocale('en', 'pt-PT'), 'en');
+  assert.equal(resolveLocale('EN_gb'), 'en');
+  assert.equal(resolveLocale('fr', 'fr-FR,en;q=0.5,pt;q=0.8'), 'pt');
+  assert.equal(resolveLocale(undefined, 'de, en-US;q=0.9'), 'en');
+  assert.equal(resolveLocale(undefined, 'en;q=0, fr'), 'pt');
+  assert.equal(resolveLocale(), 'pt');
+});
+
+test('renderTemplate splits the subject and falls back to the default locale per file', () => {
+  const pt = renderTemplate('greeting', 'pt', { name: 'Ana <3' });
+  assert.equal(pt.locale, 'pt');
+  assert.equal(pt.subject, 'Olá Ana <3 & cia');
+  assert.equal(pt.html, '<p>Olá Ana &lt;3</p>');
+  assert.equal(pt.text, 'Olá Ana <3');
+
+  // en has its own text file but no HTML one
+  const en = renderTemplate('greeting', 'en', { name: 'Ana' });
+  assert.equal(en.subject, 'Hi Ana');
+  assert.equal(en.html, '<p>Olá Ana</p>');
+
+  assert.equal(renderTemplate('greeting', 'fr', { name: 'Ana' }).locale, 'pt');
+  assert.throws(() => renderTemplate('nope', 'pt'), /Template not found: nope/);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+const { notifyWebhooks } = require('../lib/webhooks');
+
+// Local stand-in for the chat/webhook endpoints: records every request, answers per path
+let server;
+let base;
+const received = [];
+const answers = {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const next = (answers[req.url] || []).shift();
+      if (next === 'hang') return; // never answers
+      res.writeHead(next || 200, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const record = { id: 'msg-1', name: 'Ana Silva', email: 'ana@example.com', message: 'Olá!', locale: 'pt' };
+const hits = (path) => received.filter(r => r.path === path);
+
+test('JSON targets are signed with an HMAC over timestamp and body', async () => {
+  const [result] = await notifyWebhooks(record, [{ type: 'json', url: `${base}/signed`, secret: 's3cret' }]);
+  assert.equal(result.ok, true);
+
+  const [req] = hits('/signed');
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${req.body}`).digest('hex');
+  assert.equal(req.headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(req.headers['x-webhook-event'], 'contact.created');
+  assert.equal(JSON.parse(req.body).data.email, 'ana@example.com');
+  assert.equal(JSON.parse(req.body).data.ip, undefined);
+});
+
+test('a 5xx answer is retried', async () => {
+  answers['/flaky'] = [503];
+  const [result] = await notifyWebhooks(record, [{ type: 'slack', url: `${base}/flaky` }]);
+
+  assert.deepEqual({ ok: result.ok, attempts: result.attempts }, { ok: true, attempts: 2 });
+  assert.equal(hits('/flaky').length, 2);
+  assert.match(JSON.parse(hits('/flaky')[0].body).text, /Ana Silva/);
+});
+
+test('client errors are not retried', async () => {
+  answers['/gone'] = [404];
+  const [result] = await notifyWebhooks(record, [{ type: 'discord', url: `${base}/gone` }]);
+  assert.deepEqual({ ok: result.ok, attempts: result.attempts, error: result.error }, { ok: false, attempts: 1, error: 'HTTP 404' });
+});
+
+test('one failing channel does not block the others', async () => {
+  answers['/down'] = [500, 500, 500];
+  answers['/slow'] = ['hang'];
+  const results = await notifyWebhooks(record, [
+    { type: 'json', name: 'down', url: `${base}/down` },
+    { type: 'json', name: 'slow', url: `${base}/slow`, timeoutMs: 200, retries: 0 },
+    { type: 'telegram', name: 'telegram', botToken: 'abc', chatId: '42', apiBase: base }
+  ]);
+
+  assert.deepEqual(results.map(r => [r.target, r.ok]), [['down', false], ['slow', false], ['telegram', true]]);
+  assert.equal(results[0].attempts, 3);
+  assert.equal(results[1].error, 'timeout');
+  assert.equal(JSON.parse(hits('/botabc/sendMessage')[0].body).chat_id, '42');
+});
+
+test('the whole fan-out stays within its time budget', async () => {
+  answers['/stuck'] = ['hang', 'hang', 'hang'];
+  const started = Date.now();
+  const [result] = await notifyWebhooks(record, [{ type: 'json', url: `${base}/stuck` }], { budgetMs: 300 });
+
+  assert.equal(result.ok, false);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
+
+test('messages the spam score flagged are tagged in every channel', async () => {
+  const flagged = Object.assign({}, record, { id: 'msg-2', spam: { verdict: 'flag', score: 5, reasons: ['keywords'] } });
+  await notifyWebhooks(flagged, [
+    { type: 'json', url: `${base}/flag-json` },
+    { type: 'slack', url: `${base}/flag-slack` },
+    { type: 'discord', url: `${base}/flag-discord` },
+    { type: 'telegram', botToken: 'flag', chatId: '42', apiBase: base }
+  ]);
+
+  assert.deepEqual(JSON.parse(hits('/flag-json')[0].body).spam, { verdict: 'flag', score: 5 });
+  assert.match(JSON.parse(hits('/flag-slack')[0].body).text, /^\[SPAM\?\] /);
+  assert.match(JSON.parse(hits('/flag-discord')[0].body).content, /^\[SPAM\?\] /);
+  assert.match(JSON.parse(hits('/botflag/sendMessage')[0].body).text, /^\[SPAM\?\] /);
+
+  // clean messages are not tagged
+  await notifyWebhooks(Object.assign({}, record, { spam: { verdict: 'ok', score: 0 } }), [{ type: 'slack', url: `${base}/clean` }]);
+  assert.doesNotMatch(JSON.parse(hits('/clean')[0].body).text, /SPAM/);
+});